@@ -17,9 +17,19 @@ const emptyState = document.getElementById('empty-state');
 const loadingEditor = document.getElementById('loading-editor');
 const mapNameInput = document.getElementById('map-name');
 const toggleCounties = document.getElementById('toggle-counties');
+const toggleInsetMap = document.getElementById('toggle-inset-map');
 const toggleBasemap = document.getElementById('toggle-basemap');
 const countySelect = document.getElementById('county-select');
 const countySelectContainer = document.getElementById('county-select-container');
+const autoAddPinCounties = document.getElementById('auto-add-pin-counties');
+const countyLabelsCheckbox = document.getElementById('county-labels');
+const countyHighlightCheckbox = document.getElementById('county-highlight-subject');
+
+// Boundary style inputs (color, width, dash, opacity, fill)
+const COUNTY_STYLE_INPUTS = [
+    'county-style-color', 'county-style-width', 'county-style-dash',
+    'county-style-opacity', 'county-style-fill-color', 'county-style-fill-opacity'
+];
 const compTypeRadioGroup = document.getElementById('comp-type-radio-group');
 const mapSearch = document.getElementById('map-search');
 const mapsTableContainer = document.getElementById('maps-table-container');
@@ -33,6 +43,10 @@ let tableSortAsc = true;
 const btnNewMap = document.getElementById('btn-new-map');
 const btnBack = document.getElementById('btn-back');
 const btnExportImage = document.getElementById('btn-export-image');
+const btnExportSvg = document.getElementById('btn-export-svg');
+const btnExportData = document.getElementById('btn-export-data');
+const btnExportExhibit = document.getElementById('btn-export-exhibit');
+const btnImportCsv = document.getElementById('btn-import-csv');
 const btnSave = document.getElementById('btn-save');
 
 // Initialize app when DOM is ready
@@ -64,6 +78,10 @@ async function initializeApp() {
     btnNewMap.addEventListener('click', handleCreateNew);
     btnBack.addEventListener('click', handleBackToList);
     btnExportImage.addEventListener('click', handleExportImage);
+    btnExportSvg.addEventListener('click', handleExportSvg);
+    btnExportData.addEventListener('click', handleExportData);
+    btnExportExhibit.addEventListener('click', handleExportExhibit);
+    btnImportCsv.addEventListener('click', handleImportCsv);
     btnSave.addEventListener('click', handleSave);
 
     // Add Enter key listener to map name input
@@ -80,18 +98,45 @@ async function initializeApp() {
     });
 
     // Populate county select dropdown
-    populateCountySelect();
+    await populateCountySelect();
 
     // Add basemap toggle event listener
     toggleBasemap.addEventListener('change', handleBasemapToggle);
 
     // Add county controls event listeners
     toggleCounties.addEventListener('change', handleCountyToggle);
+    toggleInsetMap.addEventListener('change', handleInsetMapToggle);
+    initializeMapDecorationControls();
     countySelect.addEventListener('change', handleCountySelection);
+    document.getElementById('btn-counties-with-pins').addEventListener('click', (e) => handleSelectMapCounties(e.currentTarget, 'pins'));
+    document.getElementById('btn-counties-in-view').addEventListener('click', (e) => handleSelectMapCounties(e.currentTarget, 'viewport'));
+
+    countyLabelsCheckbox.addEventListener('change', handleCountyDisplayOptions);
+    countyHighlightCheckbox.addEventListener('change', handleCountyDisplayOptions);
+
+    COUNTY_STYLE_INPUTS.forEach(id => {
+        document.getElementById(id).addEventListener('change', handleCountyStyleChange);
+    });
+
+    // Remember the auto-add preference across maps
+    autoAddPinCounties.checked = localStorage.getItem('autoAddPinCounties') === 'true';
+    autoAddPinCounties.addEventListener('change', () => {
+        localStorage.setItem('autoAddPinCounties', autoAddPinCounties.checked);
+    });
 
     // Add comp type radio group event listener
     compTypeRadioGroup.addEventListener('change', handleCompTypeChange);
 
+    // Comp summary side panel
+    initializeCompPanel();
+
+    // CSV import dialog controls
+    initializeCsvImport();
+    initializeFeatureImport();
+    initializeOverlayLibrary();
+    initializeSavedMeasurements();
+    initializeExportFrame();
+
     // Add view toggle listener
     btnToggleView.addEventListener('click', handleToggleView);
 
@@ -107,7 +152,7 @@ async function initializeApp() {
     // Handle browser back/forward buttons
     window.addEventListener('popstate', handleUrlChange);
 
-    // Measure distance widget event listeners
+    // Measure widget event listeners
     const btnMeasureToggle = document.getElementById('btn-measure-toggle');
     const btnMeasureClose = document.getElementById('btn-measure-close');
     const btnMeasureFinish = document.getElementById('btn-measure-finish');
@@ -138,9 +183,21 @@ async function initializeApp() {
         updateMeasureDisplay(map);
     });
 
+    document.querySelectorAll('input[name="measure-mode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            if (!map) return;
+            updateMeasureShape(map);
+            updateMeasureDisplay(map);
+        });
+    });
+
     document.querySelectorAll('input[name="measure-unit"]').forEach(radio => {
         radio.addEventListener('change', () => {
-            if (map) updateMeasureDisplay(map);
+            if (map) {
+                updateMeasureDisplay(map);
+                refreshSavedMeasurementLabels(map);
+            }
+            refreshMapDecorations();
         });
     });
 
@@ -171,10 +228,17 @@ async function handleUrlChange() {
 /**
  * Populate the county select dropdown
  */
-function populateCountySelect() {
-    const counties = getAvailableCounties();
+async function populateCountySelect() {
     countySelect.innerHTML = '';
 
+    let counties;
+    try {
+        counties = await getAvailableCounties();
+    } catch (error) {
+        console.error('Error loading county list:', error);
+        return;
+    }
+
     counties.forEach(county => {
         const option = document.createElement('option');
         option.value = county;
@@ -221,6 +285,124 @@ async function handleCountySelection() {
     updateSaveButtonState();
 }
 
+/**
+ * Handle the county name label and subject highlight checkboxes
+ */
+async function handleCountyDisplayOptions() {
+    if (!map) return;
+
+    await updateCountyBoundaries(map, toggleCounties.checked, getSelectedCounties(), {
+        labels: countyLabelsCheckbox.checked,
+        highlightSubject: countyHighlightCheckbox.checked
+    });
+    updateSaveButtonState();
+}
+
+/**
+ * Handle a change to any of the boundary style inputs
+ */
+async function handleCountyStyleChange() {
+    if (!map) return;
+
+    await updateCountyBoundaries(map, toggleCounties.checked, getSelectedCounties(), {
+        style: {
+            color: document.getElementById('county-style-color').value,
+            width: parseFloat(document.getElementById('county-style-width').value),
+            dash: document.getElementById('county-style-dash').value,
+            opacity: parseFloat(document.getElementById('county-style-opacity').value),
+            fillColor: document.getElementById('county-style-fill-color').value,
+            fillOpacity: parseFloat(document.getElementById('county-style-fill-opacity').value)
+        }
+    });
+    updateSaveButtonState();
+}
+
+/**
+ * Show a map's boundary style in the style inputs
+ * @param {mapboxgl.Map} map - The map instance
+ */
+function renderCountyStyleControls(map) {
+    const style = getCountyBoundaryStyle(map);
+    document.getElementById('county-style-color').value = style.color;
+    document.getElementById('county-style-width').value = String(style.width);
+    document.getElementById('county-style-dash').value = style.dash;
+    document.getElementById('county-style-opacity').value = style.opacity;
+    document.getElementById('county-style-fill-color').value = style.fillColor;
+    document.getElementById('county-style-fill-opacity').value = style.fillOpacity;
+}
+
+/**
+ * Select the counties that contain the map's pins, or that the current view
+ * overlaps, and show their boundaries
+ * @param {HTMLButtonElement} button - The clicked button (disabled while counties load)
+ * @param {string} source - 'pins' or 'viewport'
+ */
+async function handleSelectMapCounties(button, source) {
+    if (!map) return;
+
+    button.disabled = true;
+    try {
+        let counties;
+        if (source === 'pins') {
+            // Pins whose county lookup hasn't finished are looked up here
+            const found = await Promise.all(mapMarkers.map(marker =>
+                marker.pinData.county !== undefined ? marker.pinData.county : findCountyAtPoint(marker.pinData.lngLat)
+            ));
+            counties = [...new Set(found.filter(Boolean))];
+        } else {
+            counties = await findCountiesInBounds(map.getBounds().toArray().flat());
+        }
+
+        if (counties.length === 0) {
+            const dialog = document.getElementById('dialog-warning');
+            const message = document.getElementById('warning-message');
+            message.textContent = source === 'pins'
+                ? 'None of the pins on this map are inside a county with boundary data.'
+                : 'No counties with boundary data are in view.';
+            dialog.open = true;
+            return;
+        }
+
+        for (let option of countySelect.options) {
+            option.selected = counties.includes(option.value);
+        }
+
+        await updateCountyBoundaries(map, toggleCounties.checked, getSelectedCounties());
+        updateSaveButtonState();
+    } catch (error) {
+        console.error('Error selecting counties:', error);
+
+        const dialog = document.getElementById('dialog-error');
+        const message = document.getElementById('error-message');
+        message.textContent = 'Error selecting counties: ' + error.message;
+        dialog.open = true;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Called from map.js with the counties of pins that were just placed or dragged.
+ * Adds any that aren't selected yet when boundaries are showing and auto-add is on.
+ * @param {Array<string>} counties - County names
+ */
+async function notifyPinCountiesDetected(counties) {
+    if (!map || !toggleCounties.checked || !autoAddPinCounties.checked) return;
+
+    const selectedCounties = getSelectedCounties();
+    const added = counties.filter(county => !selectedCounties.includes(county));
+    if (added.length === 0) return;
+
+    for (let option of countySelect.options) {
+        if (added.includes(option.value)) {
+            option.selected = true;
+        }
+    }
+
+    await updateCountyBoundaries(map, true, getSelectedCounties());
+    updateSaveButtonState();
+}
+
 /**
  * Handle basemap style toggle (streets <-> satellite)
  */
@@ -245,11 +427,62 @@ async function handleBasemapToggle(e) {
         if (map.userData.countyBoundaries?.enabled && map.userData.countyBoundaries.selectedCounties.length > 0) {
             await restoreCountyBoundaries(map, map.userData.countyBoundaries);
         }
+
+        // Re-add imported overlays, library layers and saved measurements
+        restoreOverlays(map);
+        restoreLibraryLayers(map);
+        restoreSavedMeasurements(map);
     });
 
     updateSaveButtonState();
 }
 
+/**
+ * Handle the locator inset toggle
+ */
+function handleInsetMapToggle(e) {
+    if (!map) return;
+
+    setInsetMapEnabled(map, e.target.checked);
+    updateSaveButtonState();
+}
+
+/**
+ * Fill the legend, scale bar and north arrow position selects and wire up their controls
+ */
+function initializeMapDecorationControls() {
+    Object.keys(MAP_DECORATIONS).forEach(key => {
+        const toggle = document.getElementById(`toggle-decoration-${key}`);
+        const positionSelect = document.getElementById(`decoration-${key}-position`);
+
+        positionSelect.innerHTML = MAP_CONTROL_POSITIONS
+            .map(position => `<option value="${position}">${formatControlPosition(position)}</option>`)
+            .join('');
+
+        toggle.addEventListener('change', (e) => {
+            if (!map) return;
+            setMapDecoration(map, key, { enabled: e.target.checked });
+            updateSaveButtonState();
+        });
+
+        positionSelect.addEventListener('change', (e) => {
+            if (!map) return;
+            setMapDecoration(map, key, { position: e.target.value });
+            updateSaveButtonState();
+        });
+    });
+}
+
+/**
+ * Format a Mapbox corner name for display, e.g. 'bottom-left' -> 'Bottom left'
+ * @param {string} position - Mapbox control position
+ * @returns {string} Display label
+ */
+function formatControlPosition(position) {
+    const label = position.replace('-', ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
 /**
  * Get selected counties from the multiselect
  * @returns {Array<string>} Array of selected county names
@@ -270,8 +503,18 @@ function getSelectedCounties() {
 function handleCompTypeChange(e) {
     if (!map) return;
 
-    const compType = e.target.value;
+    selectCompType(e.target.value);
+}
+
+/**
+ * Show a comp type on the current map, keeping the radio group and legend in step.
+ * Every comp type change from the UI goes through here.
+ * @param {string} compType - 'subject', 'sales', 'rent' or 'land'
+ */
+function selectCompType(compType) {
+    compTypeRadioGroup.value = compType;
     switchCompType(map, compType);
+    refreshMapDecorations();
 }
 
 /**
@@ -294,7 +537,7 @@ function initializeGeocoder() {
         accessToken: mapboxgl.accessToken,
         mapboxgl: mapboxgl,
         marker: true, // Don't add a marker to the map
-        bbox: [-85.63821630640555, 30.28790342288366, -79.64545775687766, 35.03288781998237],
+        bbox: GEORGIA_BBOX,
         placeholder: 'Search for an address'
     });
 
@@ -326,8 +569,10 @@ async function showListView(updateHistory = true) {
     document.getElementById('btn-measure-toggle').classList.remove('active');
     document.getElementById('measure-panel').classList.add('hidden');
 
-    // Clean up map instance if it exists
+    // Clean up map instance if it exists (clear pins first so stale markers
+    // don't leak into the next map's pin arrays)
     if (map) {
+        clearAllPins(map);
         map.remove();
         map = null;
     }
@@ -446,12 +691,37 @@ function setupMapControls() {
         for (let option of countySelect.options) {
             option.selected = boundaries.selectedCounties.includes(option.value);
         }
+
+        countyLabelsCheckbox.checked = Boolean(boundaries.labels);
+        countyHighlightCheckbox.checked = Boolean(boundaries.highlightSubject);
     } else {
         toggleCounties.checked = false;
         countySelectContainer.classList.add('hidden');
         toggleContainer.classList.remove('switch-on');
         countySelect.selectedIndex = -1;
+        countyLabelsCheckbox.checked = false;
+        countyHighlightCheckbox.checked = false;
     }
+    renderCountyStyleControls(map);
+
+    // List this map's imported overlays, saved measurements and the shared overlay library
+    renderOverlayList();
+    renderSavedMeasurements();
+    loadOverlayLibrary();
+
+    // Restore the locator inset, legend, scale bar and north arrow
+    toggleInsetMap.checked = Boolean(map.userData.insetMap?.enabled);
+    Object.entries(getMapDecorations(map)).forEach(([key, settings]) => {
+        document.getElementById(`toggle-decoration-${key}`).checked = settings.enabled;
+        document.getElementById(`decoration-${key}-position`).value = settings.position;
+    });
+    syncMapControls(map);
+
+    // Restore this map's export frame preset
+    setupExportFrameControls();
+
+    // List this map's pins in the comp panel
+    renderCompPanel();
 }
 
 /**
@@ -810,34 +1080,40 @@ async function loadExistingMap(mapId) {
             initializeMeasurementTool(map);
 
             // Restore pins from saved state (handle both old and new format)
+            let pinsRenumbered = false;
             if (mapData.map_state.subjectPins || mapData.map_state.salePins || mapData.map_state.rentPins || mapData.map_state.landPins) {
-                restorePins(map, mapData.map_state);
+                pinsRenumbered = restorePins(map, mapData.map_state);
             } else if (mapData.map_state.pins && mapData.map_state.pins.length > 0) {
                 // Backwards compatibility: convert old pins format to sales pins
-                restorePins(map, { subjectPins: [], salePins: mapData.map_state.pins, rentPins: [], landPins: [] });
+                pinsRenumbered = restorePins(map, { subjectPins: [], salePins: mapData.map_state.pins, rentPins: [], landPins: [] });
             }
 
             // Restore the selected comp type and filter pins accordingly
             const savedCompType = mapData.map_state.currentCompType || 'subject';
-            compTypeRadioGroup.value = savedCompType;
-            switchCompType(map, savedCompType);
+            selectCompType(savedCompType);
 
             // Restore county boundaries
             if (mapData.map_state.countyBoundaries) {
                 await restoreCountyBoundaries(map, mapData.map_state.countyBoundaries);
             }
 
+            // Restore imported overlays, library layers and saved measurements
+            restoreOverlays(map);
+            restoreLibraryLayers(map);
+            restoreSavedMeasurements(map);
+
             // Setup UI controls
             setupMapControls();
 
             // Initialize geocoder
             initializeGeocoder();
 
-            // Store the relevant saved state for comparison later (only pins and counties)
-            lastSavedState = JSON.stringify(getRelevantMapState(map));
+            // Store the relevant saved state for comparison later (only pins and counties).
+            // Renumbered pins differ from the stored record, so leave the map unsaved.
+            lastSavedState = pinsRenumbered ? null : JSON.stringify(getRelevantMapState(map));
             lastSavedName = mapNameInput.value.trim();
 
-            // Mark save button as clean (just loaded)
+            // Mark save button as clean (just loaded), or dirty after renumbering
             updateSaveButtonState();
 
             loadingEditor.classList.add('hidden');
@@ -1328,33 +1604,10 @@ async function handleExportImage() {
         btnExportImage.disabled = true;
         btnExportImage.textContent = 'Exporting...';
 
-        // Hide map controls, comp type controls, and measure widget during export
-        const mapControls = document.getElementById('map-controls');
-        const compTypeControls = document.getElementById('comp-type-controls');
-        const measureWidget = document.getElementById('measure-widget');
-        const originalMapControlsDisplay = mapControls.style.display;
-        const originalCompTypeControlsDisplay = compTypeControls.style.display;
-        const originalMeasureDisplay = measureWidget.style.display;
-        mapControls.style.display = 'none';
-        compTypeControls.style.display = 'none';
-        measureWidget.style.display = 'none';
-
-        // Wait for map to settle
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Use html2canvas to capture the entire map container including pins
-        const mapContainer = document.getElementById('map-container');
-        const canvas = await html2canvas(mapContainer, {
-            useCORS: true,
-            allowTaint: true,
-            backgroundColor: null,
-            scale: 2 // Higher quality export
-        });
-
-        // Restore controls
-        mapControls.style.display = originalMapControlsDisplay;
-        compTypeControls.style.display = originalCompTypeControlsDisplay;
-        measureWidget.style.display = originalMeasureDisplay;
+        // Inside the export frame at its exact pixel size, otherwise the whole map at 2x
+        const canvas = isExportFrameActive()
+            ? await captureMapCanvas({ region: getExportFrameRect(), size: getExportFramePixelSize() })
+            : await captureMapCanvas();
 
         // Convert canvas to data URL (PNG format)
         const dataURL = canvas.toDataURL('image/png');
@@ -1379,27 +1632,10 @@ async function handleExportImage() {
         btnExportImage.disabled = false;
         btnExportImage.textContent = 'Export Image';
 
-        // Show success dialog
-        const dialog = document.getElementById('dialog-export-success');
-        const message = document.getElementById('export-success-message');
-        message.textContent = `Map exported as ${filename}`;
-        dialog.open = true;
-
-        // Auto-close after 2 seconds
-        setTimeout(() => {
-            dialog.open = false;
-        }, 2000);
+        showExportSuccess(filename);
     } catch (error) {
         console.error('Export error:', error);
 
-        // Restore controls in case of error
-        const mapControls = document.getElementById('map-controls');
-        const compTypeControls = document.getElementById('comp-type-controls');
-        const measureWidget = document.getElementById('measure-widget');
-        mapControls.style.display = '';
-        compTypeControls.style.display = '';
-        measureWidget.style.display = '';
-
         // Reset button
         btnExportImage.disabled = false;
         btnExportImage.textContent = 'Export Image';
@@ -1411,6 +1647,38 @@ async function handleExportImage() {
     }
 }
 
+/**
+ * Render the map (basemap, layers and pins) to a canvas without touching the visible map
+ * @param {Object} options - Optional crop
+ * @param {Object} options.region - { x, y, width, height } within the map container, in CSS pixels
+ * @param {Object} options.size - { width, height } of the returned canvas, in pixels
+ * @param {string} options.compType - Comp type whose pins to show, if not the one on screen
+ * @returns {Promise<HTMLCanvasElement>} Canvas at twice the screen resolution, or at options.size
+ */
+async function captureMapCanvas(options = {}) {
+    const container = map.getContainer();
+    const region = options.region || { x: 0, y: 0, width: container.clientWidth, height: container.clientHeight };
+    const size = options.size || { width: region.width * 2, height: region.height * 2 }; // Higher quality export
+
+    return renderMapImage(map, region, size, { decorations: options.decorations, compType: options.compType });
+}
+
+/**
+ * Show the "Exported!" dialog for a downloaded file, closing it after 2 seconds
+ * @param {string} filename - Name of the downloaded file
+ */
+function showExportSuccess(filename) {
+    const dialog = document.getElementById('dialog-export-success');
+    const message = document.getElementById('export-success-message');
+    message.textContent = `Map exported as ${filename}`;
+    dialog.open = true;
+
+    // Auto-close after 2 seconds
+    setTimeout(() => {
+        dialog.open = false;
+    }, 2000);
+}
+
 /**
  * Get only the relevant parts of map state for change tracking
  * (pins and county boundaries, not map position)
@@ -1418,13 +1686,23 @@ async function handleExportImage() {
 function getRelevantMapState(map) {
     if (!map || !map.userData) return null;
 
+    // A pin's county is derived from its position and backfilled after older maps
+    // load, so leave it out; moving the pin already counts as a change
+    const withoutCounty = pins => (pins || []).map(({ county, ...pin }) => pin);
+
     return {
-        subjectPins: map.userData.subjectPins || [],
-        salePins: map.userData.salePins || [],
-        rentPins: map.userData.rentPins || [],
-        landPins: map.userData.landPins || [],
+        subjectPins: withoutCounty(map.userData.subjectPins),
+        salePins: withoutCounty(map.userData.salePins),
+        rentPins: withoutCounty(map.userData.rentPins),
+        landPins: withoutCounty(map.userData.landPins),
         currentCompType: map.userData.currentCompType || 'subject',
         countyBoundaries: map.userData.countyBoundaries || { enabled: false, selectedCounties: [] },
+        overlays: map.userData.overlays || [],
+        libraryLayers: map.userData.libraryLayers || [],
+        measurements: map.userData.measurements || [],
+        exportFrame: map.userData.exportFrame || null,
+        insetMap: map.userData.insetMap || { enabled: false },
+        mapDecorations: map.userData.mapDecorations || null,
         currentStyle: map.userData.currentStyle || 'mapbox://styles/mapbox/streets-v12'
     };
 }
@@ -1451,57 +1729,57 @@ function updateSaveButtonState() {
  */
 function notifyMapDataChanged() {
     updateSaveButtonState();
+    renderCompPanel();
+    refreshMapDecorations();
 }
 
 /**
- * Update the measure distance display with the current measurement
+ * Update the measure widget and map labels with the current measurement:
+ * total distance, or area and perimeter in area mode
  * @param {mapboxgl.Map} map - The map instance
  */
 function updateMeasureDisplay(map) {
     const result = document.getElementById('measure-result');
     if (!result) return;
-    const geojson = map.userData.measureGeojson;
     const linestring = map.userData.measureLinestring;
-    const points = geojson.features.filter(f => f.geometry.type === 'Point');
+    const points = map.userData.measureGeojson.features.filter(f => f.geometry.type === 'Point');
     const pointCount = points.length;
+    const isArea = getMeasureMode() === 'area';
+    const empty = { type: 'FeatureCollection', features: [] };
+
+    document.getElementById('btn-measure-save').disabled = !getSavableMeasurement(map);
+
+    if (map.getSource('measure-area-label')) map.getSource('measure-area-label').setData(empty);
 
     if (pointCount < 2) {
         result.textContent = pointCount === 1 ? 'Click to add another point' : 'Click the map to start measuring';
-        if (map.getSource('measure-labels')) {
-            map.getSource('measure-labels').setData({ type: 'FeatureCollection', features: [] });
-        }
+        if (map.getSource('measure-labels')) map.getSource('measure-labels').setData(empty);
         return;
     }
 
-    const unit = document.querySelector('input[name="measure-unit"]:checked')?.value || 'miles';
+    const unit = getMeasureUnit();
+    const distance = turf.length(linestring, { units: unit });
 
     // Update total in widget
-    const distance = turf.length(linestring, { units: unit });
-    const formatted = unit === 'feet'
-        ? `${Math.round(distance).toLocaleString()} ft`
-        : `${distance.toFixed(2)} mi`;
-    result.textContent = `Total: ${formatted}`;
-
-    // Build per-segment midpoint labels
-    const segmentFeatures = [];
-    for (let i = 0; i < points.length - 1; i++) {
-        const segLine = turf.lineString([
-            points[i].geometry.coordinates,
-            points[i + 1].geometry.coordinates
-        ]);
-        const segDist = turf.length(segLine, { units: unit });
-        const mid = turf.midpoint(points[i], points[i + 1]);
-        mid.properties = {
-            label: unit === 'feet'
-                ? `${Math.round(segDist).toLocaleString()} ft`
-                : `${segDist.toFixed(2)} mi`
-        };
-        segmentFeatures.push(mid);
+    if (!isArea) {
+        result.textContent = `Total: ${formatMeasureLength(distance, unit)}`;
+    } else if (pointCount < 3) {
+        result.textContent = 'Click to add a third point';
+    } else {
+        const polygon = turf.polygon([linestring.geometry.coordinates]);
+        const area = formatMeasureArea(turf.area(polygon));
+        result.textContent = `Area: ${area.acres} (${area.squareFeet})\nPerimeter: ${formatMeasureLength(distance, unit)}`;
+
+        if (map.getSource('measure-area-label')) {
+            map.getSource('measure-area-label').setData({ type: 'FeatureCollection', features: [getMeasureAreaLabel(map)] });
+        }
     }
+
+    // Per-segment midpoint labels
     if (map.getSource('measure-labels')) {
         map.getSource('measure-labels').setData({
             type: 'FeatureCollection',
-            features: segmentFeatures
+            features: getMeasureSegmentLabels(map)
         });
     }
 }
@@ -0,0 +1,236 @@
+// Comp summary side panel: lists every pin on the map grouped by comp type
+
+// Order comp type groups appear in the panel
+const COMP_PANEL_GROUPS = ['subject', 'sales', 'rent', 'land'];
+
+// Current sort column and direction (shared by every group)
+let compPanelSortColumn = 'number';
+let compPanelSortAsc = true;
+
+/**
+ * Initialize the comp panel toggle, close button and sortable headers
+ */
+function initializeCompPanel() {
+    document.getElementById('btn-toggle-comp-panel').addEventListener('click', () => {
+        setCompPanelOpen(document.getElementById('comp-panel').classList.contains('hidden'));
+    });
+    document.getElementById('btn-comp-panel-close').addEventListener('click', () => setCompPanelOpen(false));
+
+    // Clicks bubble up from the dynamically rendered tables
+    document.getElementById('comp-panel-body').addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-action]');
+        if (actionBtn) {
+            handleCompPanelAction(actionBtn.dataset.action, actionBtn.dataset.compType);
+            return;
+        }
+
+        const th = e.target.closest('th.sortable');
+        if (th) {
+            handleCompPanelSort(th.dataset.sort);
+            return;
+        }
+
+        const row = e.target.closest('tr[data-pin-id]');
+        if (row) handleCompPanelRowClick(row.dataset.pinId);
+    });
+
+    // Restore saved open/closed preference
+    setCompPanelOpen(localStorage.getItem('compPanelOpen') === 'true');
+}
+
+/**
+ * Show or hide the comp panel and resize the map to fit
+ * @param {boolean} open - Whether the panel should be visible
+ */
+function setCompPanelOpen(open) {
+    document.getElementById('comp-panel').classList.toggle('hidden', !open);
+    document.getElementById('editor-view').classList.toggle('comp-panel-open', open);
+    document.getElementById('btn-toggle-comp-panel').classList.toggle('active', open);
+    localStorage.setItem('compPanelOpen', open);
+
+    if (open) renderCompPanel();
+    if (map) requestAnimationFrame(() => map.resize());
+}
+
+/**
+ * Handle clicking a sortable column header
+ * @param {string} column - Column key from the header's data-sort attribute
+ */
+function handleCompPanelSort(column) {
+    if (compPanelSortColumn === column) {
+        compPanelSortAsc = !compPanelSortAsc;
+    } else {
+        compPanelSortColumn = column;
+        compPanelSortAsc = true;
+    }
+    renderCompPanel();
+}
+
+/**
+ * Handle a comp group's "order by proximity" or "undo" button
+ * @param {string} action - 'order-by-proximity' or 'undo-order'
+ * @param {string} compType - Comp type the button belongs to
+ */
+function handleCompPanelAction(action, compType) {
+    if (!map) return;
+
+    if (action === 'undo-order') {
+        undoPinOrder(map, compType);
+        return;
+    }
+
+    if (!orderPinsByProximity(map, compType)) {
+        const dialog = document.getElementById('dialog-warning');
+        const message = document.getElementById('warning-message');
+        message.textContent = 'Add a subject pin before ordering comps by proximity.';
+        dialog.open = true;
+    }
+}
+
+/**
+ * Fly to a pin and open its edit dialog
+ * @param {string} pinId - ID of the clicked pin
+ */
+function handleCompPanelRowClick(pinId) {
+    if (!map) return;
+
+    const marker = mapMarkers.find(m => m.pinData.id === pinId);
+    if (!marker) return;
+
+    // Make the pin visible if it belongs to a comp type that is currently hidden
+    if (marker.compType !== 'subject' && marker.compType !== map.userData.currentCompType) {
+        selectCompType(marker.compType);
+    }
+
+    map.flyTo({ center: marker.pinData.lngLat, zoom: Math.max(map.getZoom(), 14) });
+    showPinMenu(map, marker);
+}
+
+/**
+ * Get the value a pin is sorted by for a column
+ * @param {Object} pin - Pin record from map state
+ * @param {string} column - Column key
+ * @returns {string|number|null} Sort value (null sorts last)
+ */
+function getCompPanelSortValue(pin, column) {
+    const comp = normalizeCompRecord(pin.comp);
+    switch (column) {
+        case 'number': return typeof pin.number === 'number' ? pin.number : 0;
+        case 'address': return comp.address ? comp.address.toLowerCase() : null;
+        case 'coordinates': return pin.lngLat[1];
+        case 'county': return pin.county || null;
+        case 'distance': return pin.distanceMiles ?? null;
+        case 'date': return comp.date || null;
+        default: return comp[column] === '' ? null : comp[column];
+    }
+}
+
+/**
+ * Sort pins by the current panel sort column, keeping blanks at the bottom
+ * @param {Array<Object>} pins - Pin records
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortCompPanelPins(pins) {
+    return [...pins].sort((a, b) => {
+        const valA = getCompPanelSortValue(a, compPanelSortColumn);
+        const valB = getCompPanelSortValue(b, compPanelSortColumn);
+        if (valA === null && valB === null) return 0;
+        if (valA === null) return 1;
+        if (valB === null) return -1;
+        if (valA < valB) return compPanelSortAsc ? -1 : 1;
+        if (valA > valB) return compPanelSortAsc ? 1 : -1;
+        return 0;
+    });
+}
+
+/**
+ * Build the sortable header cell for a column
+ * @param {string} column - Column key
+ * @param {string} label - Header text
+ * @returns {string} Header cell HTML
+ */
+function renderCompPanelHeader(column, label) {
+    const isActive = compPanelSortColumn === column;
+    const sortClass = isActive ? (compPanelSortAsc ? ' sort-asc' : ' sort-desc') : '';
+    const arrow = isActive && !compPanelSortAsc ? '&#9660;' : '&#9650;';
+    return `<th class="sortable${sortClass}" data-sort="${column}">${label} <span class="sort-arrow">${arrow}</span></th>`;
+}
+
+/**
+ * Re-render the comp panel from the current map's pins
+ */
+function renderCompPanel() {
+    const body = document.getElementById('comp-panel-body');
+    if (!body || document.getElementById('comp-panel').classList.contains('hidden')) return;
+
+    if (!map || !map.userData) {
+        body.innerHTML = '';
+        return;
+    }
+
+    const pinsByType = {
+        subject: map.userData.subjectPins || [],
+        sales: map.userData.salePins || [],
+        rent: map.userData.rentPins || [],
+        land: map.userData.landPins || []
+    };
+
+    const groups = COMP_PANEL_GROUPS.filter(type => pinsByType[type].length > 0);
+    if (groups.length === 0) {
+        body.innerHTML = '<div class="comp-panel-empty">No pins yet. Click the map to add one.</div>';
+        return;
+    }
+
+    body.innerHTML = groups.map(type => {
+        const labels = COMP_FIELD_LABELS[type];
+        const rows = sortCompPanelPins(pinsByType[type]).map(pin => {
+            const comp = normalizeCompRecord(pin.comp);
+            const [lng, lat] = pin.lngLat;
+            return `
+                <tr data-pin-id="${pin.id}">
+                    <td><span class="comp-panel-badge" style="background-color: ${PIN_COLORS[type]};">${escapeHtml(String(pin.number))}</span></td>
+                    <td>${escapeHtml(comp.address)}</td>
+                    <td class="comp-panel-coords">${lat.toFixed(5)}, ${lng.toFixed(5)}</td>
+                    <td>${escapeHtml(pin.county || '')}</td>
+                    <td>${escapeHtml(formatDistanceFromSubject(pin))}</td>
+                    <td>${formatCurrency(comp.price)}</td>
+                    <td>${escapeHtml(comp.date)}</td>
+                    <td>${comp.size === null ? '' : comp.size.toLocaleString()}</td>
+                    <td>${formatCurrency(comp.pricePerUnit)}</td>
+                    <td class="comp-panel-notes">${escapeHtml(comp.notes)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        // Numbered comp types can be renumbered by distance from the subject
+        const orderActions = type === 'subject' ? '' : `
+            <span class="comp-panel-actions">
+                ${canUndoPinOrder(type) ? `<button class="comp-panel-action" data-action="undo-order" data-comp-type="${type}">Undo</button>` : ''}
+                <button class="comp-panel-action" data-action="order-by-proximity" data-comp-type="${type}">Order by proximity</button>
+            </span>
+        `;
+
+        return `
+            <section class="comp-panel-group">
+                <h4><span class="comp-panel-swatch" style="background-color: ${PIN_COLORS[type]};"></span>${COMP_TYPE_GROUP_LABELS[type]} (${pinsByType[type].length})${orderActions}</h4>
+                <table class="comp-table">
+                    <thead>
+                        <tr>
+                            ${renderCompPanelHeader('number', '#')}
+                            ${renderCompPanelHeader('address', 'Address')}
+                            ${renderCompPanelHeader('coordinates', 'Lat, Lng')}
+                            ${renderCompPanelHeader('county', 'County')}
+                            ${renderCompPanelHeader('distance', 'From Subject')}
+                            ${renderCompPanelHeader('price', labels.price)}
+                            ${renderCompPanelHeader('date', labels.date)}
+                            ${renderCompPanelHeader('size', labels.size)}
+                            ${renderCompPanelHeader('pricePerUnit', labels.pricePerUnit)}
+                            ${renderCompPanelHeader('notes', 'Notes')}
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </section>
+        `;
+    }).join('');
+}
@@ -0,0 +1,150 @@
+// Comp record helpers shared by the pin dialog, map state and exports
+
+// Singular names used when describing a pin ("Sale 3")
+const COMP_TYPE_LABELS = {
+    subject: 'Subject',
+    sales: 'Sale',
+    rent: 'Rent',
+    land: 'Land'
+};
+
+// Group headings used wherever pins are listed by comp type
+const COMP_TYPE_GROUP_LABELS = {
+    subject: 'Subject',
+    sales: 'Sales Comps',
+    rent: 'Rent Comps',
+    land: 'Land Comps'
+};
+
+// 8-point compass, clockwise from north
+const COMPASS_DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Field labels that change with the comp type
+const COMP_FIELD_LABELS = {
+    subject: { price: 'Price', date: 'Date', size: 'GLA (SF)', pricePerUnit: 'Price / SF' },
+    sales: { price: 'Sale Price', date: 'Sale Date', size: 'GLA (SF)', pricePerUnit: 'Price / SF' },
+    rent: { price: 'Lease Price', date: 'Lease Date', size: 'GLA (SF)', pricePerUnit: 'Rent / SF' },
+    land: { price: 'Sale Price', date: 'Sale Date', size: 'Acreage', pricePerUnit: 'Price / Acre' }
+};
+
+/**
+ * Create an empty comp record for a new pin
+ * @returns {Object} Comp record with every field blank
+ */
+function createEmptyCompRecord() {
+    return {
+        address: '',
+        price: null,
+        date: '',
+        size: null,
+        pricePerUnit: null,
+        notes: ''
+    };
+}
+
+/**
+ * Fill in any fields missing from a saved comp record (older maps have none)
+ * @param {Object} comp - Comp record from saved state, may be undefined
+ * @returns {Object} Comp record with every field present
+ */
+function normalizeCompRecord(comp) {
+    const record = { ...createEmptyCompRecord(), ...(comp || {}) };
+    record.price = parseCompNumber(record.price);
+    record.size = parseCompNumber(record.size);
+    record.pricePerUnit = parseCompNumber(record.pricePerUnit);
+    return record;
+}
+
+/**
+ * Parse a numeric comp field, treating blanks and junk as empty
+ * @param {string|number|null} value - Raw value from an input or saved state
+ * @returns {number|null} Parsed number, or null if empty
+ */
+function parseCompNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,\s]/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Compute price per unit (SF or acre) from price and size
+ * @param {number|null} price - Sale or lease price
+ * @param {number|null} size - GLA in square feet or acreage
+ * @returns {number|null} Price per unit rounded to cents, or null if it can't be computed
+ */
+function computePricePerUnit(price, size) {
+    if (price === null || size === null || size === 0) return null;
+    return Math.round((price / size) * 100) / 100;
+}
+
+/**
+ * Format a dollar amount for display
+ * @param {number|null} value - Amount in dollars
+ * @returns {string} Formatted amount, or empty string if blank
+ */
+function formatCurrency(value) {
+    if (value === null || value === undefined) return '';
+    return value.toLocaleString('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        maximumFractionDigits: Number.isInteger(value) ? 0 : 2
+    });
+}
+
+/**
+ * Convert a bearing to an 8-point compass direction
+ * @param {number} bearing - Bearing in degrees (-180 to 180, as returned by turf.bearing)
+ * @returns {string} Compass direction such as 'NE'
+ */
+function getCompassDirection(bearing) {
+    const normalized = (bearing + 360) % 360;
+    return COMPASS_DIRECTIONS[Math.round(normalized / 45) % 8];
+}
+
+/**
+ * Straight-line distance and direction from the subject to a comp
+ * @param {Array<number>} subjectLngLat - Subject pin [lng, lat]
+ * @param {Array<number>} lngLat - Comp pin [lng, lat]
+ * @returns {Object} { distanceMiles, direction } with distance rounded to 0.001 mi
+ */
+function getDistanceFromSubject(subjectLngLat, lngLat) {
+    const from = turf.point(subjectLngLat);
+    const to = turf.point(lngLat);
+    const distance = turf.distance(from, to, { units: 'miles' });
+
+    return {
+        distanceMiles: Math.round(distance * 1000) / 1000,
+        direction: distance > 0 ? getCompassDirection(turf.bearing(from, to)) : ''
+    };
+}
+
+/**
+ * Describe a comp's position relative to the subject, e.g. "Sale 3 is 2.40 miles NE of the subject"
+ * @param {Object} pinData - Pin data with type, number, distanceMiles and direction
+ * @returns {string} Description, or empty string if there is no subject to measure from
+ */
+function describeDistanceFromSubject(pinData) {
+    if (pinData.distanceMiles === null || pinData.distanceMiles === undefined) return '';
+    const name = `${COMP_TYPE_LABELS[pinData.type] || 'Pin'} ${pinData.number}`;
+    const direction = pinData.direction ? ` ${pinData.direction}` : '';
+    return `${name} is ${pinData.distanceMiles.toFixed(2)} miles${direction} of the subject`;
+}
+
+/**
+ * Short distance/direction label for tables and tooltips, e.g. "2.40 mi NE"
+ * @param {Object} pinData - Pin data with distanceMiles and direction
+ * @returns {string} Label, or empty string if there is no subject to measure from
+ */
+function formatDistanceFromSubject(pinData) {
+    if (pinData.distanceMiles === null || pinData.distanceMiles === undefined) return '';
+    return `${pinData.distanceMiles.toFixed(2)} mi ${pinData.direction}`.trim();
+}
+
+/**
+ * County label for a pin, e.g. "Hall County"
+ * @param {Object} pinData - Pin data with county
+ * @returns {string} Label, or empty string if the county isn't known
+ */
+function formatPinCounty(pinData) {
+    return pinData.county ? `${pinData.county} County` : '';
+}
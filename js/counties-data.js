@@ -1,70 +1,85 @@
-// Georgia counties we support
-const GEORGIA_COUNTIES = [
-    'Banks',
-    'Barrow',
-    'Bartow',
-    'Cherokee',
-    'Clarke',
-    'Dawson',
-    'Elbert',
-    'Fannin',
-    'Franklin',
-    'Forsyth',
-    'Gilmer',
-    'Gordon',
-    'Greene',
-    'Gwinnett',
-    'Habersham',
-    'Hall',
-    'Hart',
-    'Jackson',
-    'Lumpkin',
-    'Morgan',
-    'Murray',
-    'Newton',
-    'Oconee',
-    'Oglethorpe',
-    'Pickens',
-    'Rabun',
-    'Rockdale',
-    'Stephens',
-    'Towns',
-    'Union',
-    'Walton',
-    'White',
-    'Whitfield',
-];
+// Georgia county boundaries, listed in data/counties/manifest.json
+// (regenerate with `node scripts/generate-county-manifest.js`)
+
+const COUNTY_MANIFEST_URL = 'data/counties/manifest.json';
+
+// IndexedDB database holding decoded county files between sessions
+const COUNTY_CACHE_DB = 'county-boundaries';
+const COUNTY_CACHE_STORE = 'files';
+
+// Cached manifest request, shared by every caller
+let countyManifestPromise = null;
+
+// Decoded county files loaded this session, by file name: { version, promise }
+const countyFileCache = new Map();
+
+// Shared IndexedDB connection (resolves to null where IndexedDB is unavailable)
+let countyCacheDbPromise = null;
 
 /**
- * Fetch Georgia county boundaries GeoJSON from local files
+ * Load the county manifest: name, FIPS code, file, bbox and centroid of every county we ship
+ * @returns {Promise<Array<Object>>} Manifest entries sorted by name
+ */
+function loadCountyManifest() {
+    if (!countyManifestPromise) {
+        // Always revalidate so a new file version is picked up straight away
+        countyManifestPromise = fetch(COUNTY_MANIFEST_URL, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) throw new Error(`Could not load county manifest (${response.status})`);
+                return response.json();
+            })
+            .then(manifest => [...manifest.counties].sort((a, b) => a.name.localeCompare(b.name)))
+            .catch(error => {
+                // Let the next call try again
+                countyManifestPromise = null;
+                throw error;
+            });
+    }
+    return countyManifestPromise;
+}
+
+/**
+ * Fetch Georgia county boundaries GeoJSON from local files.
+ * Files load in parallel and are cached in memory and IndexedDB by manifest
+ * version, so toggles, selection changes and basemap switches reuse them.
  * @param {Array<string>} countyNames - Array of county names to fetch
  * @returns {Promise<Object>} Combined GeoJSON with only the requested Georgia counties
  */
 async function fetchGeorgiaCounties(countyNames = []) {
     try {
-        const features = [];
+        const manifest = await loadCountyManifest();
+
+        const files = await Promise.all(countyNames.map(async (countyName) => {
+            const entry = manifest.find(county => county.name === countyName);
+            if (!entry) {
+                console.warn(`${countyName} is not in the county manifest`);
+                return null;
+            }
 
-        // Load each requested county's GeoJSON file
-        for (const countyName of countyNames) {
             try {
-                const response = await fetch(`data/counties/${countyName}.geojson`);
-                if (!response.ok) {
-                    console.warn(`Could not load ${countyName}.geojson`);
-                    continue;
-                }
-                const geojson = await response.json();
-
-                // Add all features from this county file
-                if (geojson.features && Array.isArray(geojson.features)) {
-                    features.push(...geojson.features);
-                } else if (geojson.type === 'Feature') {
-                    // Single feature
-                    features.push(geojson);
-                }
+                return await loadCountyFile(entry);
             } catch (err) {
                 console.error(`Error loading ${countyName}:`, err);
+                return null;
             }
-        }
+        }));
+
+        const features = [];
+        files.forEach((geojson, i) => {
+            if (!geojson) return;
+
+            // Add all features from this county file (or the single feature)
+            const fileFeatures = geojson.features && Array.isArray(geojson.features)
+                ? geojson.features
+                : geojson.type === 'Feature' ? [geojson] : [];
+
+            // Tag copies with the manifest name; files' own NAME properties vary,
+            // and the cached originals are shared between callers
+            features.push(...fileFeatures.map(feature => ({
+                ...feature,
+                properties: { ...feature.properties, county: countyNames[i] }
+            })));
+        });
 
         return {
             type: 'FeatureCollection',
@@ -76,10 +91,157 @@ async function fetchGeorgiaCounties(countyNames = []) {
     }
 }
 
+/**
+ * Find the county containing a point, checking only counties whose bbox contains it
+ * @param {Array<number>} lngLat - [lng, lat]
+ * @returns {Promise<string|null>} County name, or null if the point is outside every shipped county
+ */
+async function findCountyAtPoint(lngLat) {
+    const manifest = await loadCountyManifest();
+    const [lng, lat] = lngLat;
+    const point = turf.point(lngLat);
+
+    const candidates = manifest.filter(({ bbox }) =>
+        lng >= bbox[0] && lng <= bbox[2] && lat >= bbox[1] && lat <= bbox[3]
+    );
+
+    for (const entry of candidates) {
+        const geojson = await loadCountyFile(entry);
+        const features = geojson.type === 'Feature' ? [geojson] : geojson.features || [];
+        if (features.some(feature => feature.geometry && turf.booleanPointInPolygon(point, feature))) {
+            return entry.name;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find every county whose boundary intersects a bounding box
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Promise<Array<string>>} County names
+ */
+async function findCountiesInBounds(bbox) {
+    const manifest = await loadCountyManifest();
+    const area = turf.bboxPolygon(bbox);
+
+    const candidates = manifest.filter(entry =>
+        entry.bbox[0] <= bbox[2] && entry.bbox[2] >= bbox[0] && entry.bbox[1] <= bbox[3] && entry.bbox[3] >= bbox[1]
+    );
+
+    const matches = await Promise.all(candidates.map(async (entry) => {
+        const geojson = await loadCountyFile(entry);
+        const features = geojson.type === 'Feature' ? [geojson] : geojson.features || [];
+        return features.some(feature => feature.geometry && turf.booleanIntersects(area, feature));
+    }));
+
+    return candidates.filter((entry, i) => matches[i]).map(entry => entry.name);
+}
+
+/**
+ * Load one county file, from memory, IndexedDB or the network, in that order
+ * @param {Object} entry - Manifest entry ({ file, version })
+ * @returns {Promise<Object>} Decoded GeoJSON
+ */
+function loadCountyFile(entry) {
+    const cached = countyFileCache.get(entry.file);
+    if (cached && cached.version === entry.version) {
+        return cached.promise;
+    }
+
+    const promise = (async () => {
+        const stored = await readCachedCountyFile(entry.file);
+        if (stored && stored.version === entry.version) {
+            return stored.geojson;
+        }
+
+        // The version in the URL keeps the browser's HTTP cache from serving an older file
+        const response = await fetch(`data/counties/${encodeURIComponent(entry.file)}?v=${entry.version}`);
+        if (!response.ok) {
+            throw new Error(`Could not load ${entry.file} (${response.status})`);
+        }
+        const geojson = await response.json();
+
+        await writeCachedCountyFile(entry.file, entry.version, geojson);
+        return geojson;
+    })();
+
+    countyFileCache.set(entry.file, { version: entry.version, promise });
+
+    // Let the next call try again
+    promise.catch(() => countyFileCache.delete(entry.file));
+
+    return promise;
+}
+
+/**
+ * Open the IndexedDB county cache
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB can't be used
+ */
+function openCountyCache() {
+    if (!countyCacheDbPromise) {
+        countyCacheDbPromise = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(COUNTY_CACHE_DB, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(COUNTY_CACHE_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                // Private browsing or blocked storage: fall back to memory only
+                console.warn('County cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return countyCacheDbPromise;
+}
+
+/**
+ * Read a county file from the IndexedDB cache
+ * @param {string} file - File name within data/counties
+ * @returns {Promise<Object|null>} { version, geojson }, or null if not cached
+ */
+async function readCachedCountyFile(file) {
+    const db = await openCountyCache();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+        const request = db.transaction(COUNTY_CACHE_STORE, 'readonly').objectStore(COUNTY_CACHE_STORE).get(file);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+    });
+}
+
+/**
+ * Store a county file in the IndexedDB cache, replacing any older version
+ * @param {string} file - File name within data/counties
+ * @param {string} version - Manifest version of the file
+ * @param {Object} geojson - Decoded GeoJSON
+ */
+async function writeCachedCountyFile(file, version, geojson) {
+    const db = await openCountyCache();
+    if (!db) return;
+
+    await new Promise(resolve => {
+        const transaction = db.transaction(COUNTY_CACHE_STORE, 'readwrite');
+        transaction.objectStore(COUNTY_CACHE_STORE).put({ version, geojson }, file);
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => {
+            // Storage full or blocked; the file is still cached in memory
+            console.warn(`Could not cache ${file}:`, transaction.error);
+            resolve();
+        };
+    });
+}
+
 /**
  * Get list of available county names
- * @returns {Array<string>} Array of county names
+ * @returns {Promise<Array<string>>} Array of county names
  */
-function getAvailableCounties() {
-    return [...GEORGIA_COUNTIES].sort();
+async function getAvailableCounties() {
+    const manifest = await loadCountyManifest();
+    return manifest.map(county => county.name);
 }
@@ -0,0 +1,258 @@
+// Data export of pins and measurements as GeoJSON, KML or CSV
+
+// Columns written to CSV exports, in order
+const CSV_EXPORT_COLUMNS = [
+    'Type', 'Number', 'Latitude', 'Longitude', 'County', 'Address', 'Price', 'Date',
+    'Size', 'Price Per Unit', 'Distance From Subject (mi)', 'Direction From Subject', 'Notes'
+];
+
+/**
+ * Flatten the four pin arrays of a map state into one list (subject first)
+ * @param {Object} mapState - State from getMapState
+ * @returns {Array<Object>} Pins with type, number, lngLat and a normalized comp record
+ */
+function getExportPins(mapState) {
+    return [
+        ...(mapState.subjectPins || []).map(p => ({ ...p, type: 'subject' })),
+        ...(mapState.salePins || []).map(p => ({ ...p, type: 'sales' })),
+        ...(mapState.rentPins || []).map(p => ({ ...p, type: 'rent' })),
+        ...(mapState.landPins || []).map(p => ({ ...p, type: 'land' }))
+    ].map(pin => ({ ...pin, comp: normalizeCompRecord(pin.comp) }));
+}
+
+/**
+ * Get the measurement line if at least two points have been placed
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Object|null} GeoJSON LineString feature, or null
+ */
+function getExportMeasurement(map) {
+    const linestring = map.userData.measureLinestring;
+    if (!linestring || linestring.geometry.coordinates.length < 2) return null;
+    return linestring;
+}
+
+/**
+ * Readable pin name used in exports, e.g. "Sale 3" or "Subject"
+ * @param {Object} pin - Pin with type and number
+ * @returns {string} Pin name
+ */
+function getExportPinName(pin) {
+    return pin.type === 'subject' ? 'Subject' : `${COMP_TYPE_LABELS[pin.type]} ${pin.number}`;
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of all pins plus the measurement line
+ * @param {Object} mapState - State from getMapState
+ * @param {Object|null} measurement - Measurement LineString feature
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function buildGeoJsonExport(mapState, measurement) {
+    const features = getExportPins(mapState).map(pin => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: pin.lngLat },
+        properties: {
+            id: pin.id,
+            name: getExportPinName(pin),
+            type: pin.type,
+            number: pin.number,
+            color: PIN_COLORS[pin.type],
+            county: pin.county ?? null,
+            ...pin.comp,
+            distanceMiles: pin.distanceMiles ?? null,
+            direction: pin.direction ?? null
+        }
+    }));
+
+    if (measurement) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: measurement.geometry.coordinates },
+            properties: {
+                name: 'Measurement',
+                lengthMiles: Math.round(turf.length(measurement, { units: 'miles' }) * 1000) / 1000
+            }
+        });
+    }
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Convert a #rrggbb color to KML's aabbggrr form
+ * @param {string} hex - CSS hex color
+ * @param {string} alpha - Two-digit hex alpha
+ * @returns {string} KML color
+ */
+function toKmlColor(hex, alpha = 'ff') {
+    const value = hex.replace('#', '');
+    return `${alpha}${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`;
+}
+
+/**
+ * Escape text for use in XML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a KML document with pins styled by comp type and the measurement line
+ * @param {Object} mapState - State from getMapState
+ * @param {Object|null} measurement - Measurement LineString feature
+ * @param {string} name - Document name (the map name)
+ * @returns {string} KML text
+ */
+function buildKmlExport(mapState, measurement, name) {
+    const styles = Object.entries(PIN_COLORS).map(([type, color]) => `
+    <Style id="pin-${type}">
+      <IconStyle>
+        <color>${toKmlColor(color)}</color>
+        <scale>1.1</scale>
+        <Icon><href>http://maps.google.com/mapfiles/kml/paddle/wht-blank.png</href></Icon>
+        <hotSpot x="0.5" y="0" xunits="fraction" yunits="fraction"/>
+      </IconStyle>
+      <LabelStyle><color>${toKmlColor(color)}</color></LabelStyle>
+    </Style>`).join('');
+
+    const placemarks = getExportPins(mapState).map(pin => {
+        const data = {
+            type: pin.type,
+            number: pin.number,
+            county: pin.county ?? '',
+            ...pin.comp,
+            distanceMiles: pin.distanceMiles ?? '',
+            direction: pin.direction ?? ''
+        };
+        const extendedData = Object.entries(data)
+            .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value ?? '')}</value></Data>`)
+            .join('');
+        const description = [pin.comp.address, formatPinCounty(pin), describeDistanceFromSubject(pin)].filter(Boolean).join('\n');
+
+        return `
+    <Placemark>
+      <name>${escapeXml(getExportPinName(pin))}</name>
+      <description>${escapeXml(description)}</description>
+      <styleUrl>#pin-${pin.type}</styleUrl>
+      <ExtendedData>${extendedData}</ExtendedData>
+      <Point><coordinates>${pin.lngLat[0]},${pin.lngLat[1]},0</coordinates></Point>
+    </Placemark>`;
+    }).join('');
+
+    const measurementPlacemark = measurement ? `
+    <Placemark>
+      <name>Measurement</name>
+      <Style><LineStyle><color>ff000000</color><width>3</width></LineStyle></Style>
+      <LineString><tessellate>1</tessellate><coordinates>${measurement.geometry.coordinates.map(c => `${c[0]},${c[1]},0`).join(' ')}</coordinates></LineString>
+    </Placemark>` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>${styles}${placemarks}${measurementPlacemark}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Format one CSV row, quoting cells that contain commas, quotes or newlines
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * Build a CSV table of all pins with their distance to the subject
+ * @param {Object} mapState - State from getMapState
+ * @returns {string} CSV text
+ */
+function buildCsvExport(mapState) {
+    const rows = getExportPins(mapState).map(pin => [
+        COMP_TYPE_GROUP_LABELS[pin.type],
+        pin.number,
+        pin.lngLat[1],
+        pin.lngLat[0],
+        pin.county,
+        pin.comp.address,
+        pin.comp.price,
+        pin.comp.date,
+        pin.comp.size,
+        pin.comp.pricePerUnit,
+        pin.distanceMiles === null || pin.distanceMiles === undefined ? '' : pin.distanceMiles.toFixed(2),
+        pin.direction,
+        pin.comp.notes
+    ]);
+
+    return [CSV_EXPORT_COLUMNS, ...rows].map(formatCsvRow).join('\r\n') + '\r\n';
+}
+
+/**
+ * Trigger a browser download of generated text or binary content
+ * @param {string|Blob} content - File contents
+ * @param {string} filename - Download filename
+ * @param {string} mimeType - MIME type for text content
+ */
+function downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Handle opening the data export dialog
+ */
+function handleExportData() {
+    if (!map) return;
+
+    const dialog = document.getElementById('dialog-export-data');
+    const confirmBtn = document.getElementById('confirm-export-data');
+    const includeMeasurement = document.getElementById('export-include-measurement');
+
+    // Only offer the measurement line when one exists
+    const measurement = getExportMeasurement(map);
+    includeMeasurement.checked = Boolean(measurement);
+    includeMeasurement.disabled = !measurement;
+
+    dialog.open = true;
+
+    const handleConfirm = () => {
+        const format = document.getElementById('export-data-format').value;
+        const mapState = getMapState(map);
+        const mapName = mapNameInput.value.trim() || 'map';
+        const line = includeMeasurement.checked ? measurement : null;
+
+        if (format === 'geojson') {
+            downloadFile(JSON.stringify(buildGeoJsonExport(mapState, line), null, 2), `${mapName}.geojson`, 'application/geo+json');
+        } else if (format === 'kml') {
+            downloadFile(buildKmlExport(mapState, line, mapName), `${mapName}.kml`, 'application/vnd.google-earth.kml+xml');
+        } else {
+            downloadFile(buildCsvExport(mapState), `${mapName}.csv`, 'text/csv');
+        }
+
+        dialog.open = false;
+    };
+
+    confirmBtn.addEventListener('click', handleConfirm);
+
+    // Clean up on dialog close
+    dialog.addEventListener('wa-hide', () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+    }, { once: true });
+}
@@ -0,0 +1,417 @@
+// Bulk comp import from CSV files
+
+// Fields a CSV column can be mapped to, in auto-detection order. Each column is
+// assigned to at most one field, so more specific patterns come first.
+const CSV_IMPORT_FIELDS = [
+    { key: 'compType', label: 'Comp type', pattern: /^(comp\s*)?type$|^comp$|^category$/i },
+    { key: 'lat', label: 'Latitude', pattern: /^(lat|latitude|y)$/i },
+    { key: 'lng', label: 'Longitude', pattern: /^(lng|lon|long|longitude|x)$/i },
+    { key: 'address', label: 'Address', pattern: /address|street/i },
+    { key: 'city', label: 'City', pattern: /^city$/i },
+    { key: 'state', label: 'State', pattern: /^(state|st)$/i },
+    { key: 'zip', label: 'ZIP', pattern: /^(zip|zip\s*code|postal\s*code)$/i },
+    { key: 'pricePerUnit', label: 'Price per unit', pattern: /(per|\/)\s*(sf|sq|acre|ac|unit)|psf/i },
+    { key: 'price', label: 'Price', pattern: /price|rent|lease|amount/i },
+    { key: 'date', label: 'Date', pattern: /date/i },
+    { key: 'size', label: 'GLA / acreage', pattern: /gla|sq\s*f|square|^sf$|size|acre|^ac$/i },
+    { key: 'notes', label: 'Notes', pattern: /note|comment|remark/i }
+];
+
+// Number of rows shown in the import preview
+const CSV_PREVIEW_ROWS = 5;
+
+// Parsed file and column mapping for the import dialog
+let csvImport = { headers: [], rows: [], mapping: {} };
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted fields, doubled quotes, CRLF)
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows of cell strings, blank lines removed
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by Excel
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    // Last row when the file doesn't end with a newline
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Guess which column holds each import field from the header names
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Map of field key to column index
+ */
+function detectCsvColumnMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const index = headers.findIndex((header, i) => !used.has(i) && field.pattern.test(header.trim()));
+        if (index > -1) {
+            mapping[field.key] = index;
+            used.add(index);
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Resolve a CSV comp type cell to a comp type
+ * @param {string} value - Cell value such as "Sale", "Rent Comp" or "land"
+ * @param {string} defaultType - Type used when the cell is blank
+ * @returns {string|null} Comp type, or null if the value isn't recognized
+ */
+function resolveImportCompType(value, defaultType) {
+    const text = (value || '').trim().toLowerCase();
+    if (!text) return defaultType;
+    if (/^subj/.test(text)) return 'subject';
+    if (/land/.test(text)) return 'land';
+    if (/rent|lease/.test(text)) return 'rent';
+    if (/sale/.test(text)) return 'sales';
+    return null;
+}
+
+/**
+ * Read the mapped fields from one CSV row
+ * @param {Array<string>} row - Row cells
+ * @param {Object} mapping - Field key to column index
+ * @param {string} defaultType - Comp type for rows without one
+ * @returns {Object} { compType, compTypeText, lngLat, address, comp }
+ */
+function getCsvRowRecord(row, mapping, defaultType) {
+    const get = (key) => (mapping[key] === undefined ? '' : (row[mapping[key]] || '').trim());
+
+    const lat = parseFloat(get('lat'));
+    const lng = parseFloat(get('lng'));
+    const hasCoordinates = !isNaN(lat) && !isNaN(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+    // Street address plus any separate city/state/ZIP columns
+    const address = [get('address'), get('city'), [get('state'), get('zip')].filter(Boolean).join(' ')]
+        .filter(Boolean)
+        .join(', ');
+
+    const price = parseCompNumber(get('price'));
+    const size = parseCompNumber(get('size'));
+
+    return {
+        compType: resolveImportCompType(get('compType'), defaultType),
+        compTypeText: get('compType'),
+        lngLat: hasCoordinates ? [lng, lat] : null,
+        address,
+        comp: {
+            address,
+            price,
+            date: normalizeImportDate(get('date')),
+            size,
+            pricePerUnit: parseCompNumber(get('pricePerUnit')) ?? computePricePerUnit(price, size),
+            notes: get('notes')
+        }
+    };
+}
+
+/**
+ * Convert a spreadsheet date (e.g. 3/14/2024) to the YYYY-MM-DD form the pin dialog uses
+ * @param {string} value - Date cell
+ * @returns {string} ISO date, the original text if it can't be parsed, or ''
+ */
+function normalizeImportDate(value) {
+    if (!value) return '';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+    const match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (!match) return value;
+
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * Whether the current mapping can place pins (coordinates or an address)
+ * @param {Object} mapping - Field key to column index
+ * @returns {boolean} True if rows can be located
+ */
+function canLocateCsvRows(mapping) {
+    const hasCoordinates = mapping.lat !== undefined && mapping.lng !== undefined;
+    return hasCoordinates || mapping.address !== undefined;
+}
+
+/**
+ * Initialize the CSV import dialog's file input and mapping controls
+ */
+function initializeCsvImport() {
+    document.getElementById('csv-file-input').addEventListener('change', handleCsvFileSelected);
+    document.getElementById('csv-default-comp-type').addEventListener('change', renderCsvPreview);
+
+    // Mapping selects are rendered per file, so listen on their container
+    document.getElementById('csv-column-mapping').addEventListener('change', (e) => {
+        const select = e.target.closest('select[data-field]');
+        if (!select) return;
+
+        if (select.value === '') {
+            delete csvImport.mapping[select.dataset.field];
+        } else {
+            csvImport.mapping[select.dataset.field] = parseInt(select.value, 10);
+        }
+        renderCsvPreview();
+    });
+}
+
+/**
+ * Handle opening the CSV import dialog
+ */
+function handleImportCsv() {
+    if (!map) return;
+
+    const dialog = document.getElementById('dialog-import-csv');
+    const fileInput = document.getElementById('csv-file-input');
+    const confirmBtn = document.getElementById('confirm-import-csv');
+
+    // Reset from any previous import
+    csvImport = { headers: [], rows: [], mapping: {} };
+    fileInput.value = '';
+    document.getElementById('csv-default-comp-type').value = map.userData.currentCompType === 'subject'
+        ? 'sales'
+        : map.userData.currentCompType;
+    document.getElementById('csv-mapping-section').classList.add('hidden');
+    setCsvImportStatus('');
+    setCsvImportErrors([]);
+    confirmBtn.disabled = true;
+
+    dialog.open = true;
+
+    const handleConfirm = () => runCsvImport();
+    confirmBtn.addEventListener('click', handleConfirm);
+
+    // Clean up on dialog close
+    dialog.addEventListener('wa-hide', () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+    }, { once: true });
+}
+
+/**
+ * Read and parse the chosen CSV file, then show the mapping and preview
+ */
+async function handleCsvFileSelected(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setCsvImportStatus('');
+    setCsvImportErrors([]);
+
+    const rows = parseCsv(await file.text());
+    if (rows.length < 2) {
+        setCsvImportStatus('This file has no data rows.');
+        document.getElementById('csv-mapping-section').classList.add('hidden');
+        document.getElementById('confirm-import-csv').disabled = true;
+        return;
+    }
+
+    const [headers, ...dataRows] = rows;
+    csvImport = { headers, rows: dataRows, mapping: detectCsvColumnMapping(headers) };
+
+    renderCsvColumnMapping();
+    renderCsvPreview();
+    document.getElementById('csv-mapping-section').classList.remove('hidden');
+}
+
+/**
+ * Render one select per import field listing the file's columns
+ */
+function renderCsvColumnMapping() {
+    const container = document.getElementById('csv-column-mapping');
+    const options = csvImport.headers
+        .map((header, index) => `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}</option>`)
+        .join('');
+
+    container.innerHTML = CSV_IMPORT_FIELDS.map(field => `
+        <label class="csv-mapping-field">
+            <span>${field.label}</span>
+            <select data-field="${field.key}">
+                <option value="">(none)</option>
+                ${options}
+            </select>
+        </label>
+    `).join('');
+
+    container.querySelectorAll('select[data-field]').forEach(select => {
+        const index = csvImport.mapping[select.dataset.field];
+        select.value = index === undefined ? '' : String(index);
+    });
+}
+
+/**
+ * Render the first rows as they will be imported with the current mapping
+ */
+function renderCsvPreview() {
+    const table = document.getElementById('csv-preview');
+    const confirmBtn = document.getElementById('confirm-import-csv');
+    const defaultType = document.getElementById('csv-default-comp-type').value;
+    const { rows, mapping } = csvImport;
+
+    const previewRows = rows.slice(0, CSV_PREVIEW_ROWS).map((row, i) => {
+        const record = getCsvRowRecord(row, mapping, defaultType);
+        const location = record.lngLat
+            ? `${record.lngLat[1].toFixed(5)}, ${record.lngLat[0].toFixed(5)}`
+            : record.address
+                ? `${escapeHtml(record.address)} <span class="csv-preview-geocode">(geocode)</span>`
+                : '<span class="csv-preview-error">No location</span>';
+        const type = record.compType
+            ? COMP_TYPE_GROUP_LABELS[record.compType]
+            : `<span class="csv-preview-error">Unknown "${escapeHtml(record.compTypeText)}"</span>`;
+
+        return `
+            <tr>
+                <td>${i + 2}</td>
+                <td>${type}</td>
+                <td>${location}</td>
+                <td>${formatCurrency(record.comp.price)}</td>
+                <td>${escapeHtml(record.comp.date)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    table.innerHTML = `
+        <thead>
+            <tr><th>Row</th><th>Type</th><th>Location</th><th>Price</th><th>Date</th></tr>
+        </thead>
+        <tbody>${previewRows}</tbody>
+    `;
+
+    const canLocate = canLocateCsvRows(mapping);
+    confirmBtn.disabled = !canLocate;
+    setCsvImportStatus(canLocate
+        ? `${rows.length} row${rows.length === 1 ? '' : 's'} ready to import.`
+        : 'Map a latitude and longitude column, or an address column, to place pins.');
+}
+
+/**
+ * Place a pin for every CSV row, geocoding rows that only have an address
+ */
+async function runCsvImport() {
+    if (!map) return;
+
+    const confirmBtn = document.getElementById('confirm-import-csv');
+    const defaultType = document.getElementById('csv-default-comp-type').value;
+    const { rows, mapping } = csvImport;
+    const failures = [];
+    const placed = [];
+
+    confirmBtn.disabled = true;
+    setCsvImportErrors([]);
+
+    for (let i = 0; i < rows.length; i++) {
+        const rowNumber = i + 2; // Row 1 is the header
+        const record = getCsvRowRecord(rows[i], mapping, defaultType);
+        setCsvImportStatus(`Placing row ${i + 1} of ${rows.length}...`);
+
+        if (!record.compType) {
+            failures.push(`Row ${rowNumber}: unrecognized comp type "${record.compTypeText}"`);
+            continue;
+        }
+
+        let lngLat = record.lngLat;
+        if (!lngLat) {
+            if (!record.address) {
+                failures.push(`Row ${rowNumber}: no coordinates or address`);
+                continue;
+            }
+
+            try {
+                const result = await geocodeAddress(record.address);
+                if (!result) {
+                    failures.push(`Row ${rowNumber}: address not found (${record.address})`);
+                    continue;
+                }
+                lngLat = result.lngLat;
+            } catch (error) {
+                failures.push(`Row ${rowNumber}: ${error.message}`);
+                continue;
+            }
+        }
+
+        // Same path as clicking the map, so numbering and distances stay consistent
+        const marker = addPin(map, { lng: lngLat[0], lat: lngLat[1] }, {
+            compType: record.compType,
+            comp: record.comp,
+            quiet: true
+        });
+        if (!marker) {
+            failures.push(`Row ${rowNumber}: map already has a subject pin`);
+            continue;
+        }
+        placed.push(lngLat);
+    }
+
+    setCsvImportStatus(`Placed ${placed.length} of ${rows.length} row${rows.length === 1 ? '' : 's'}.`);
+    setCsvImportErrors(failures);
+
+    // Bring the imported pins into view
+    if (placed.length > 0) {
+        const bounds = placed.reduce((b, lngLat) => b.extend(lngLat), new mapboxgl.LngLatBounds(placed[0], placed[0]));
+        map.fitBounds(bounds, { padding: 80, maxZoom: 15 });
+    }
+}
+
+/**
+ * Show a status line in the import dialog
+ * @param {string} text - Status text, or '' to hide
+ */
+function setCsvImportStatus(text) {
+    const status = document.getElementById('csv-import-status');
+    status.textContent = text;
+    status.classList.toggle('hidden', !text);
+}
+
+/**
+ * List rows that could not be placed
+ * @param {Array<string>} errors - One message per row
+ */
+function setCsvImportErrors(errors) {
+    const list = document.getElementById('csv-import-errors');
+    list.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    list.classList.toggle('hidden', errors.length === 0);
+}
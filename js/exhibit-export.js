@@ -0,0 +1,348 @@
+// Report exhibit export: the map, with its inset, legend, scale bar and north
+// arrow, laid out on a page with a title block and effective date, saved as PDF or PNG
+
+// Page sizes matching the report templates, in inches
+const EXHIBIT_PAGE_SIZES = {
+    'letter-portrait': { label: 'Letter portrait', width: 8.5, height: 11, titleBlockHeight: 1.1 },
+    'letter-landscape': { label: 'Letter landscape', width: 11, height: 8.5, titleBlockHeight: 1 },
+    'half-page': { label: 'Half page', width: 8.5, height: 5.5, titleBlockHeight: 0.8 }
+};
+
+// Output resolution of the composed exhibit
+const EXHIBIT_DPI = 200;
+
+// Page margin, in inches
+const EXHIBIT_MARGIN = 0.4;
+
+// Sheets in a report package, in order
+const REPORT_PACKAGE_SHEETS = ['subject', 'sales', 'rent', 'land', 'all'];
+
+/**
+ * Handle opening the exhibit export dialog
+ */
+function handleExportExhibit() {
+    if (!map) return;
+
+    const dialog = document.getElementById('dialog-export-exhibit');
+    const confirmBtn = document.getElementById('confirm-export-exhibit');
+    const titleInput = document.getElementById('exhibit-title');
+    const firmInput = document.getElementById('exhibit-firm-name');
+    const dateInput = document.getElementById('exhibit-effective-date');
+
+    titleInput.value = mapNameInput.value.trim();
+    firmInput.value = localStorage.getItem('exhibitFirmName') || '';
+    if (!dateInput.value) dateInput.value = new Date().toISOString().slice(0, 10);
+
+    dialog.open = true;
+
+    const handleConfirm = async () => {
+        const options = {
+            pageSize: document.getElementById('exhibit-page-size').value,
+            format: document.getElementById('exhibit-format').value,
+            title: titleInput.value.trim() || mapNameInput.value.trim() || 'Map',
+            firmName: firmInput.value.trim(),
+            effectiveDate: dateInput.value,
+            scope: document.getElementById('exhibit-scope').value
+        };
+
+        // Firm name is the same on every exhibit, so remember it
+        localStorage.setItem('exhibitFirmName', options.firmName);
+        dialog.open = false;
+
+        if (options.scope === 'package') {
+            await exportReportPackage(options);
+        } else {
+            await exportExhibit(options);
+        }
+    };
+
+    confirmBtn.addEventListener('click', handleConfirm);
+
+    // Clean up on dialog close
+    dialog.addEventListener('wa-hide', () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+    }, { once: true });
+}
+
+/**
+ * Render the exhibit for the comp type on screen and download it
+ * @param {Object} options - { pageSize, format: 'pdf'|'png', title, firmName, effectiveDate }
+ */
+async function exportExhibit(options) {
+    try {
+        btnExportExhibit.disabled = true;
+        btnExportExhibit.textContent = 'Exporting...';
+
+        const compType = map.userData.currentCompType || 'subject';
+        const filename = getExhibitFilename(compType, options.format);
+        downloadFile(await buildExhibitFile({ ...options, compType }), filename);
+
+        showExportSuccess(filename);
+    } catch (error) {
+        console.error('Exhibit export error:', error);
+
+        const dialog = document.getElementById('dialog-error');
+        const message = document.getElementById('error-message');
+        message.textContent = 'Error exporting exhibit: ' + error.message;
+        dialog.open = true;
+    } finally {
+        btnExportExhibit.disabled = false;
+        btnExportExhibit.textContent = 'Export Exhibit';
+    }
+}
+
+/**
+ * Render one exhibit per comp type plus an all-pins sheet and download them
+ * as a ZIP with a manifest of the pins on each sheet. Sheets are rendered
+ * offscreen, so the visible map keeps showing the user's comp type.
+ * @param {Object} options - Exhibit options (see exportExhibit)
+ */
+async function exportReportPackage(options) {
+    const mapName = mapNameInput.value.trim() || 'map';
+    const zip = new JSZip();
+    const manifest = {
+        map: mapName,
+        title: options.title,
+        effectiveDate: options.effectiveDate,
+        pageSize: options.pageSize,
+        generatedAt: new Date().toISOString(),
+        sheets: []
+    };
+
+    try {
+        btnExportExhibit.disabled = true;
+
+        for (const sheet of getReportPackageSheets()) {
+            btnExportExhibit.textContent = `Exporting ${manifest.sheets.length + 1}...`;
+
+            const filename = getExhibitFilename(sheet, options.format);
+            zip.file(filename, await buildExhibitFile({ ...options, compType: sheet }));
+            manifest.sheets.push({
+                file: filename,
+                compType: sheet,
+                title: getExhibitSheetTitle(sheet),
+                pins: getVisibleCompTypes(sheet).flatMap(type => map.userData[getPinArrayKey(type)].map(pin => ({
+                    id: pin.id,
+                    type,
+                    number: pin.number,
+                    address: normalizeCompRecord(pin.comp).address,
+                    lngLat: pin.lngLat,
+                    distanceMiles: pin.distanceMiles ?? null,
+                    direction: pin.direction ?? null
+                })))
+            });
+        }
+
+        if (manifest.sheets.length === 0) {
+            throw new Error('Add at least one pin before exporting a report package.');
+        }
+
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+        const filename = `${mapName}-report-package.zip`;
+        downloadFile(await zip.generateAsync({ type: 'blob' }), filename);
+        showExportSuccess(filename);
+    } catch (error) {
+        console.error('Report package export error:', error);
+
+        const dialog = document.getElementById('dialog-error');
+        const message = document.getElementById('error-message');
+        message.textContent = 'Error exporting report package: ' + error.message;
+        dialog.open = true;
+    } finally {
+        btnExportExhibit.disabled = false;
+        btnExportExhibit.textContent = 'Export Exhibit';
+    }
+}
+
+/**
+ * Report package sheets that have pins to show. The all-pins sheet is only
+ * included when more than one comp type has pins.
+ * @returns {Array<string>} Sheet comp types
+ */
+function getReportPackageSheets() {
+    const hasPins = (type) => map.userData[getPinArrayKey(type)].length > 0;
+    const typesWithPins = REPORT_PACKAGE_SHEETS.filter(sheet => sheet !== 'all' && hasPins(sheet));
+
+    return REPORT_PACKAGE_SHEETS.filter(sheet => {
+        if (sheet === 'all') return NUMBERED_COMP_TYPES.filter(hasPins).length > 1;
+        return typesWithPins.includes(sheet);
+    });
+}
+
+/**
+ * Exhibit filename for a sheet, e.g. "Smith Appraisal-sales-exhibit.pdf"
+ * @param {string} compType - Sheet comp type, or 'all'
+ * @param {string} format - 'pdf' or 'png'
+ * @returns {string} Filename
+ */
+function getExhibitFilename(compType, format) {
+    const mapName = mapNameInput.value.trim() || 'map';
+    return `${mapName}-${compType}-exhibit.${format}`;
+}
+
+/**
+ * Subtitle shown in the title block for a sheet
+ * @param {string} compType - Sheet comp type, or 'all'
+ * @returns {string} Sheet title
+ */
+function getExhibitSheetTitle(compType) {
+    if (compType === 'subject') return 'Subject Location';
+    if (compType === 'all') return 'Comparables Location Map';
+    return `${COMP_TYPE_GROUP_LABELS[compType]} Location Map`;
+}
+
+/**
+ * Render the exhibit for a comp type and encode it as a file
+ * @param {Object} options - Exhibit options (see exportExhibit), plus compType: the sheet's comp type or 'all'
+ * @returns {Promise<Blob>} PDF or PNG
+ */
+async function buildExhibitFile(options) {
+    const canvas = await renderExhibit(options);
+    const page = EXHIBIT_PAGE_SIZES[options.pageSize];
+
+    if (options.format === 'pdf') {
+        const { jsPDF } = window.jspdf;
+        const pdf = new jsPDF({
+            orientation: page.width > page.height ? 'landscape' : 'portrait',
+            unit: 'in',
+            format: [page.width, page.height]
+        });
+        pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, page.width, page.height);
+        return pdf.output('blob');
+    }
+
+    return new Promise((resolve, reject) => canvas.toBlob(blob => {
+        // Browsers return null when the canvas is too large to encode
+        if (blob) resolve(blob);
+        else reject(new Error('The exhibit is too large to save as PNG; try PDF or a smaller page size.'));
+    }, 'image/png'));
+}
+
+/**
+ * Compose the exhibit page on a canvas
+ * @param {Object} options - Exhibit options (see exportExhibit)
+ * @returns {Promise<HTMLCanvasElement>} Page canvas at EXHIBIT_DPI
+ */
+async function renderExhibit(options) {
+    const page = EXHIBIT_PAGE_SIZES[options.pageSize];
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(page.width * EXHIBIT_DPI);
+    canvas.height = Math.round(page.height * EXHIBIT_DPI);
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Map frame fills the page above the title block
+    const margin = EXHIBIT_MARGIN * EXHIBIT_DPI;
+    const titleHeight = page.titleBlockHeight * EXHIBIT_DPI;
+    const mapFrame = {
+        x: margin,
+        y: margin,
+        width: canvas.width - margin * 2,
+        height: canvas.height - margin * 2 - titleHeight
+    };
+    const titleFrame = {
+        x: margin,
+        y: mapFrame.y + mapFrame.height,
+        width: mapFrame.width,
+        height: titleHeight
+    };
+
+    // The map's own inset, legend, scale bar and north arrow settings apply to the exhibit too
+    const mapCanvas = await captureMapCanvas({
+        region: getExhibitMapRegion(mapFrame),
+        size: { width: Math.round(mapFrame.width), height: Math.round(mapFrame.height) },
+        compType: options.compType
+    });
+    ctx.drawImage(mapCanvas, mapFrame.x, mapFrame.y, mapFrame.width, mapFrame.height);
+
+    drawExhibitTitleBlock(ctx, titleFrame, options);
+
+    // Outer border around map and title block
+    ctx.strokeStyle = '#111827';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(mapFrame.x, mapFrame.y, mapFrame.width, mapFrame.height + titleFrame.height);
+
+    return canvas;
+}
+
+/**
+ * The largest part of the visible map, centered, with the map frame's proportions
+ * @param {Object} frame - Map frame, in page pixels
+ * @returns {Object} { x, y, width, height } within the map container, in CSS pixels
+ */
+function getExhibitMapRegion(frame) {
+    const container = map.getContainer();
+    const fit = Math.min(container.clientWidth / frame.width, container.clientHeight / frame.height);
+    const width = frame.width * fit;
+    const height = frame.height * fit;
+
+    return {
+        x: (container.clientWidth - width) / 2,
+        y: (container.clientHeight - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Draw the title block: map title, comp type and effective date on the left, firm name on the right
+ * @param {CanvasRenderingContext2D} ctx - Page context
+ * @param {Object} frame - Title block frame
+ * @param {Object} options - Exhibit options
+ */
+function drawExhibitTitleBlock(ctx, frame, options) {
+    const unit = EXHIBIT_DPI / 100;
+    const padding = 14 * unit;
+
+    ctx.fillStyle = '#f9fafb';
+    ctx.fillRect(frame.x, frame.y, frame.width, frame.height);
+    ctx.strokeStyle = '#111827';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(frame.x, frame.y);
+    ctx.lineTo(frame.x + frame.width, frame.y);
+    ctx.stroke();
+
+    const lines = [
+        { text: options.title, font: `700 ${18 * unit}px sans-serif`, color: '#111827' },
+        { text: getExhibitSheetTitle(options.compType), font: `${12 * unit}px sans-serif`, color: '#374151' },
+        { text: options.effectiveDate ? `Effective Date: ${formatEffectiveDate(options.effectiveDate)}` : '', font: `${11 * unit}px sans-serif`, color: '#6b7280' }
+    ].filter(line => line.text);
+
+    // Center the lines vertically in the block
+    const lineHeight = (frame.height - padding * 2) / 3;
+    let y = frame.y + (frame.height - lineHeight * lines.length) / 2 + lineHeight / 2;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    lines.forEach(line => {
+        ctx.font = line.font;
+        ctx.fillStyle = line.color;
+        ctx.fillText(line.text, frame.x + padding, y, frame.width * 0.6);
+        y += lineHeight;
+    });
+
+    if (options.firmName) {
+        ctx.font = `600 ${14 * unit}px sans-serif`;
+        ctx.fillStyle = '#111827';
+        ctx.textAlign = 'right';
+        ctx.fillText(options.firmName, frame.x + frame.width - padding, frame.y + frame.height / 2, frame.width * 0.35);
+        ctx.textAlign = 'left';
+    }
+}
+
+/**
+ * Format a YYYY-MM-DD date for the title block, e.g. "March 14, 2026"
+ * @param {string} value - ISO date
+ * @returns {string} Long date
+ */
+function formatEffectiveDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
@@ -0,0 +1,189 @@
+// Export frame: outlines the exact printable rectangle on the map so image
+// exports come out at the same shape and pixel size on every screen
+
+// Print sizes used in reports, in inches at a given DPI
+const EXPORT_FRAME_PRESETS = {
+    'report-full': { label: 'Report page — 6.5 × 4.5 in, 300 DPI', width: 6.5, height: 4.5, dpi: 300 },
+    'report-tall': { label: 'Report page — 6.5 × 8 in, 300 DPI', width: 6.5, height: 8, dpi: 300 },
+    'report-half': { label: 'Half page — 6.5 × 3.25 in, 300 DPI', width: 6.5, height: 3.25, dpi: 300 },
+    'landscape-full': { label: 'Landscape page — 9 × 6 in, 300 DPI', width: 9, height: 6, dpi: 300 },
+    'slide': { label: 'Slide — 10 × 5.625 in, 192 DPI', width: 10, height: 5.625, dpi: 192 },
+    'custom': { label: 'Custom size', width: 6.5, height: 4.5, dpi: 300 }
+};
+
+const DEFAULT_EXPORT_FRAME = { preset: 'report-full', width: 6.5, height: 4.5, dpi: 300 };
+
+// Largest export side in pixels (browsers refuse bigger canvases)
+const EXPORT_FRAME_MAX_PIXELS = 8000;
+
+// Space kept between the frame and the edge of the map, in CSS pixels
+const EXPORT_FRAME_PADDING = 40;
+
+/**
+ * Initialize the export frame switch, preset select and custom size inputs
+ */
+function initializeExportFrame() {
+    const presetSelect = document.getElementById('export-frame-preset');
+    presetSelect.innerHTML = Object.entries(EXPORT_FRAME_PRESETS)
+        .map(([id, preset]) => `<option value="${id}">${preset.label}</option>`)
+        .join('');
+
+    document.getElementById('toggle-export-frame').addEventListener('change', (e) => {
+        setExportFrameVisible(e.target.checked);
+    });
+
+    presetSelect.addEventListener('change', () => {
+        const preset = EXPORT_FRAME_PRESETS[presetSelect.value];
+        const current = getExportFrameSettings();
+        // Custom starts from the size that was showing
+        const size = presetSelect.value === 'custom' ? current : preset;
+        setExportFrameSettings({ preset: presetSelect.value, width: size.width, height: size.height, dpi: size.dpi });
+    });
+
+    ['export-frame-width', 'export-frame-height', 'export-frame-dpi'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            setExportFrameSettings({
+                preset: 'custom',
+                width: parseFloat(document.getElementById('export-frame-width').value),
+                height: parseFloat(document.getElementById('export-frame-height').value),
+                dpi: parseInt(document.getElementById('export-frame-dpi').value, 10)
+            });
+        });
+    });
+
+    window.addEventListener('resize', positionExportFrame);
+}
+
+/**
+ * Restore the export frame controls for the current map (frame starts hidden)
+ */
+function setupExportFrameControls() {
+    if (!map) return;
+
+    document.getElementById('toggle-export-frame').checked = false;
+    setExportFrameVisible(false);
+    renderExportFrameControls();
+
+    // Keep the frame centered when the map is resized (window, comp panel)
+    map.on('resize', positionExportFrame);
+}
+
+/**
+ * Current frame settings for the open map
+ * @returns {Object} { preset, width, height, dpi } with width/height in inches
+ */
+function getExportFrameSettings() {
+    return { ...DEFAULT_EXPORT_FRAME, ...((map && map.userData.exportFrame) || {}) };
+}
+
+/**
+ * Save new frame settings on the map, clamped to sane values
+ * @param {Object} settings - { preset, width, height, dpi }
+ */
+function setExportFrameSettings(settings) {
+    const current = getExportFrameSettings();
+    const valid = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+
+    const dpi = Math.min(valid(settings.dpi, current.dpi), 1200);
+    const maxInches = EXPORT_FRAME_MAX_PIXELS / dpi;
+    map.userData.exportFrame = {
+        preset: settings.preset,
+        width: Math.min(valid(settings.width, current.width), maxInches),
+        height: Math.min(valid(settings.height, current.height), maxInches),
+        dpi
+    };
+
+    renderExportFrameControls();
+    positionExportFrame();
+    updateSaveButtonState();
+}
+
+/**
+ * Output size of the frame in pixels
+ * @returns {Object} { width, height }
+ */
+function getExportFramePixelSize() {
+    const { width, height, dpi } = getExportFrameSettings();
+    return {
+        width: Math.round(width * dpi),
+        height: Math.round(height * dpi)
+    };
+}
+
+/**
+ * Whether image exports should use the frame
+ * @returns {boolean} True if the frame is showing
+ */
+function isExportFrameActive() {
+    return !document.getElementById('export-frame').classList.contains('hidden');
+}
+
+/**
+ * Show or hide the frame overlay and its options
+ * @param {boolean} visible - Whether the frame should be visible
+ */
+function setExportFrameVisible(visible) {
+    document.getElementById('export-frame').classList.toggle('hidden', !visible);
+    document.getElementById('export-frame-options').classList.toggle('hidden', !visible);
+    document.getElementById('toggle-export-frame-container').classList.toggle('switch-on', visible);
+    positionExportFrame();
+}
+
+/**
+ * Sync the preset select, custom inputs and pixel size readout with the map's settings
+ */
+function renderExportFrameControls() {
+    const settings = getExportFrameSettings();
+    const { width, height } = getExportFramePixelSize();
+
+    document.getElementById('export-frame-preset').value = settings.preset;
+    document.getElementById('export-frame-custom').classList.toggle('hidden', settings.preset !== 'custom');
+    document.getElementById('export-frame-width').value = settings.width;
+    document.getElementById('export-frame-height').value = settings.height;
+    document.getElementById('export-frame-dpi').value = settings.dpi;
+    document.getElementById('export-frame-info').textContent = `Exports at ${width.toLocaleString()} × ${height.toLocaleString()} px`;
+}
+
+/**
+ * Frame rectangle within the map container: the largest rectangle with the
+ * preset's aspect ratio that fits inside the padding
+ * @returns {Object} { x, y, width, height } in CSS pixels
+ */
+function getExportFrameRect() {
+    const container = map.getContainer();
+    const { width, height } = getExportFrameSettings();
+    const availableWidth = Math.max(container.clientWidth - EXPORT_FRAME_PADDING * 2, 1);
+    const availableHeight = Math.max(container.clientHeight - EXPORT_FRAME_PADDING * 2, 1);
+    const aspect = width / height;
+
+    let frameWidth = availableWidth;
+    let frameHeight = frameWidth / aspect;
+    if (frameHeight > availableHeight) {
+        frameHeight = availableHeight;
+        frameWidth = frameHeight * aspect;
+    }
+
+    return {
+        x: (container.clientWidth - frameWidth) / 2,
+        y: (container.clientHeight - frameHeight) / 2,
+        width: frameWidth,
+        height: frameHeight
+    };
+}
+
+/**
+ * Move the frame overlay to match the current map size and settings
+ */
+function positionExportFrame() {
+    const frame = document.getElementById('export-frame');
+    if (!map || frame.classList.contains('hidden')) return;
+
+    const rect = getExportFrameRect();
+    frame.style.left = `${rect.x}px`;
+    frame.style.top = `${rect.y}px`;
+    frame.style.width = `${rect.width}px`;
+    frame.style.height = `${rect.height}px`;
+
+    const { width, height, dpi } = getExportFrameSettings();
+    frame.querySelector('.export-frame-label').textContent = `${width} × ${height} in @ ${dpi} DPI`;
+}
@@ -0,0 +1,433 @@
+// GeoJSON, KML and KMZ import: points become pins, lines and polygons become overlays
+
+// File extensions accepted by drag and drop
+const FEATURE_IMPORT_EXTENSIONS = ['geojson', 'json', 'kml', 'kmz'];
+
+// Features read from the dropped file, waiting for the import dialog
+let featureImport = { fileName: '', points: [], shapes: [] };
+
+/**
+ * Initialize drag and drop of feature files onto the editor
+ */
+function initializeFeatureImport() {
+    const editorView = document.getElementById('editor-view');
+    const dropZone = document.getElementById('drop-zone');
+    let dragDepth = 0;
+
+    const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+    editorView.addEventListener('dragenter', (e) => {
+        if (!isFileDrag(e) || !map) return;
+        e.preventDefault();
+        dragDepth++;
+        dropZone.classList.remove('hidden');
+    });
+
+    editorView.addEventListener('dragover', (e) => {
+        if (!isFileDrag(e) || !map) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    editorView.addEventListener('dragleave', (e) => {
+        if (!isFileDrag(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) dropZone.classList.add('hidden');
+    });
+
+    editorView.addEventListener('drop', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        dropZone.classList.add('hidden');
+
+        const file = e.dataTransfer.files[0];
+        if (file && map) handleFeatureFileDropped(file);
+    });
+
+    // Overlay remove buttons are rendered dynamically
+    document.getElementById('overlay-list').addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('button[data-overlay-id]');
+        if (!removeBtn || !map) return;
+
+        removeOverlay(map, removeBtn.dataset.overlayId);
+        renderOverlayList();
+        notifyMapDataChanged();
+    });
+}
+
+/**
+ * Read a dropped file and open the import dialog
+ * @param {File} file - Dropped file
+ */
+async function handleFeatureFileDropped(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    try {
+        if (!FEATURE_IMPORT_EXTENSIONS.includes(extension)) {
+            throw new Error('Drop a .geojson, .kml or .kmz file.');
+        }
+
+        const geojson = await readFeatureFile(file, extension);
+        const features = flattenFeatures(geojson.features);
+        const points = features.filter(f => f.geometry.type === 'Point');
+        const shapes = features.filter(f => f.geometry.type !== 'Point');
+
+        if (points.length === 0 && shapes.length === 0) {
+            throw new Error('No points, lines or polygons were found in this file.');
+        }
+
+        featureImport = { fileName: file.name, points, shapes };
+        showFeatureImportDialog();
+    } catch (error) {
+        const dialog = document.getElementById('dialog-error');
+        const message = document.getElementById('error-message');
+        message.textContent = `Could not import ${file.name}: ${error.message}`;
+        dialog.open = true;
+    }
+}
+
+/**
+ * Read a GeoJSON, KML or KMZ file as a GeoJSON FeatureCollection
+ * @param {File} file - File to read
+ * @param {string} extension - Lowercase file extension
+ * @returns {Promise<Object>} FeatureCollection
+ */
+async function readFeatureFile(file, extension) {
+    if (extension === 'kmz') {
+        const zip = await JSZip.loadAsync(file);
+        const kmlFiles = Object.values(zip.files).filter(entry => !entry.dir && /\.kml$/i.test(entry.name));
+        // doc.kml is the conventional root document; fall back to the first KML found
+        const entry = kmlFiles.find(e => /(^|\/)doc\.kml$/i.test(e.name)) || kmlFiles[0];
+        if (!entry) throw new Error('This KMZ does not contain a KML document.');
+        return kmlToGeoJson(await entry.async('string'));
+    }
+
+    if (extension === 'kml') {
+        return kmlToGeoJson(await file.text());
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error('This file is not valid JSON.');
+    }
+    return toFeatureCollection(data);
+}
+
+/**
+ * Wrap a GeoJSON object (FeatureCollection, Feature or bare geometry) as a FeatureCollection
+ * @param {Object} data - Parsed GeoJSON
+ * @returns {Object} FeatureCollection
+ */
+function toFeatureCollection(data) {
+    if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) return data;
+    if (data && data.type === 'Feature') return { type: 'FeatureCollection', features: [data] };
+    if (data && typeof data.type === 'string' && (data.coordinates || data.geometries)) {
+        return { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: data, properties: {} }] };
+    }
+    throw new Error('This file is not GeoJSON.');
+}
+
+/**
+ * Split multi-point features and geometry collections so each feature is
+ * either a single point or a line/polygon shape
+ * @param {Array<Object>} features - GeoJSON features
+ * @returns {Array<Object>} Flattened features with geometry
+ */
+function flattenFeatures(features) {
+    const flattened = [];
+
+    const addGeometry = (geometry, properties) => {
+        if (!geometry) return;
+        if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(g => addGeometry(g, properties));
+        } else if (geometry.type === 'MultiPoint') {
+            geometry.coordinates.forEach(coordinates => addGeometry({ type: 'Point', coordinates }, properties));
+        } else {
+            flattened.push({ type: 'Feature', geometry, properties: properties || {} });
+        }
+    };
+
+    features.forEach(feature => addGeometry(feature.geometry, feature.properties));
+    return flattened;
+}
+
+/**
+ * Convert a KML document to GeoJSON. Handles Placemarks with Point,
+ * LineString, Polygon and MultiGeometry, plus name, description and ExtendedData.
+ * @param {string} text - KML file contents
+ * @returns {Object} FeatureCollection
+ */
+function kmlToGeoJson(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('This file is not valid KML.');
+    }
+
+    const features = [];
+    Array.from(doc.getElementsByTagName('Placemark')).forEach(placemark => {
+        const geometries = getKmlGeometries(placemark);
+        if (geometries.length === 0) return;
+
+        const properties = getKmlProperties(placemark);
+        geometries.forEach(geometry => features.push({ type: 'Feature', geometry, properties }));
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Direct child elements of a KML element with a given tag name (ignoring namespace prefix)
+ * @param {Element} element - Parent element
+ * @param {string} tagName - Local tag name
+ * @returns {Array<Element>} Matching children
+ */
+function getKmlChildren(element, tagName) {
+    return Array.from(element.children).filter(child => child.localName === tagName);
+}
+
+/**
+ * Text of the first child element with a given tag name
+ * @param {Element} element - Parent element
+ * @param {string} tagName - Local tag name
+ * @returns {string} Trimmed text, or ''
+ */
+function getKmlText(element, tagName) {
+    const child = getKmlChildren(element, tagName)[0];
+    return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Parse a KML coordinates string ("lng,lat[,alt] lng,lat[,alt] ...")
+ * @param {string} text - Coordinates text
+ * @returns {Array<Array<number>>} [lng, lat] positions
+ */
+function parseKmlCoordinates(text) {
+    return text.trim().split(/\s+/)
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(values => values.length >= 2 && !isNaN(values[0]) && !isNaN(values[1]))
+        .map(values => [values[0], values[1]]);
+}
+
+/**
+ * Read all geometries in a Placemark (MultiGeometry yields several)
+ * @param {Element} element - Placemark or MultiGeometry element
+ * @returns {Array<Object>} GeoJSON geometries
+ */
+function getKmlGeometries(element) {
+    const geometries = [];
+
+    Array.from(element.children).forEach(child => {
+        if (child.localName === 'MultiGeometry') {
+            geometries.push(...getKmlGeometries(child));
+        } else if (child.localName === 'Point') {
+            const [coordinates] = parseKmlCoordinates(getKmlText(child, 'coordinates'));
+            if (coordinates) geometries.push({ type: 'Point', coordinates });
+        } else if (child.localName === 'LineString') {
+            const coordinates = parseKmlCoordinates(getKmlText(child, 'coordinates'));
+            if (coordinates.length >= 2) geometries.push({ type: 'LineString', coordinates });
+        } else if (child.localName === 'Polygon') {
+            const rings = ['outerBoundaryIs', 'innerBoundaryIs']
+                .flatMap(tag => getKmlChildren(child, tag))
+                .flatMap(boundary => getKmlChildren(boundary, 'LinearRing'))
+                .map(ring => parseKmlCoordinates(getKmlText(ring, 'coordinates')))
+                .filter(ring => ring.length >= 4);
+            if (rings.length > 0) geometries.push({ type: 'Polygon', coordinates: rings });
+        }
+    });
+
+    return geometries;
+}
+
+/**
+ * Read a Placemark's name, description and ExtendedData as GeoJSON properties
+ * @param {Element} placemark - Placemark element
+ * @returns {Object} Properties
+ */
+function getKmlProperties(placemark) {
+    const properties = {};
+
+    const name = getKmlText(placemark, 'name');
+    if (name) properties.name = name;
+
+    const description = getKmlText(placemark, 'description');
+    if (description) properties.description = description;
+
+    getKmlChildren(placemark, 'ExtendedData').forEach(extendedData => {
+        getKmlChildren(extendedData, 'Data').forEach(data => {
+            properties[data.getAttribute('name')] = getKmlText(data, 'value');
+        });
+        getKmlChildren(extendedData, 'SchemaData').forEach(schemaData => {
+            getKmlChildren(schemaData, 'SimpleData').forEach(simpleData => {
+                properties[simpleData.getAttribute('name')] = simpleData.textContent.trim();
+            });
+        });
+    });
+
+    return properties;
+}
+
+/**
+ * Build a comp record from an imported point's properties. Files exported by
+ * this app carry the comp fields directly; other files usually only have a
+ * name and description.
+ * @param {Object} properties - Feature properties
+ * @returns {Object} Comp record
+ */
+function getFeatureCompRecord(properties) {
+    const props = properties || {};
+    const price = parseCompNumber(props.price);
+    const size = parseCompNumber(props.size);
+    // KML descriptions are often HTML balloons
+    const description = props.description
+        ? new DOMParser().parseFromString(String(props.description), 'text/html').body.textContent.trim()
+        : '';
+
+    return {
+        address: String(props.address || props.name || ''),
+        price,
+        date: normalizeImportDate(String(props.date || '')),
+        size,
+        pricePerUnit: parseCompNumber(props.pricePerUnit) ?? computePricePerUnit(price, size),
+        notes: String(props.notes || description)
+    };
+}
+
+/**
+ * Show the import dialog for the features read from the dropped file
+ */
+function showFeatureImportDialog() {
+    const dialog = document.getElementById('dialog-import-features');
+    const confirmBtn = document.getElementById('confirm-import-features');
+    const { fileName, points, shapes } = featureImport;
+
+    const counts = [];
+    if (points.length > 0) counts.push(`${points.length} point${points.length === 1 ? '' : 's'}`);
+    if (shapes.length > 0) counts.push(`${shapes.length} line${shapes.length === 1 ? '' : 's'} or polygon${shapes.length === 1 ? '' : 's'}`);
+    document.getElementById('features-import-summary').textContent = `${fileName} contains ${counts.join(' and ')}.`;
+
+    // Points become pins of one comp type; shapes become one overlay
+    document.getElementById('features-comp-type-field').classList.toggle('hidden', points.length === 0);
+    document.getElementById('features-comp-type').value = map.userData.currentCompType === 'subject'
+        ? 'sales'
+        : map.userData.currentCompType;
+    document.getElementById('features-overlay-field').classList.toggle('hidden', shapes.length === 0);
+    document.getElementById('features-overlay-name').value = fileName.replace(/\.[^.]+$/, '');
+
+    dialog.open = true;
+
+    const handleConfirm = () => {
+        runFeatureImport();
+        dialog.open = false;
+    };
+    confirmBtn.addEventListener('click', handleConfirm);
+
+    // Clean up on dialog close
+    dialog.addEventListener('wa-hide', () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+    }, { once: true });
+}
+
+/**
+ * Whether a coordinate pair is a valid longitude/latitude
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @returns {boolean} True if Mapbox can place it
+ */
+function isLngLatInRange(lng, lat) {
+    return Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+}
+
+/**
+ * Place pins for imported points and add imported shapes as an overlay
+ */
+function runFeatureImport() {
+    if (!map) return;
+
+    const { points, shapes } = featureImport;
+    const compType = document.getElementById('features-comp-type').value;
+    const bounds = new mapboxgl.LngLatBounds();
+    let skipped = 0;
+    let outOfRange = 0;
+
+    points.forEach(feature => {
+        const [lng, lat] = feature.geometry.coordinates;
+
+        // Projected files (e.g. EPSG:3857) have coordinates Mapbox can't place
+        if (!isLngLatInRange(lng, lat)) {
+            skipped++;
+            outOfRange++;
+            return;
+        }
+
+        const marker = addPin(map, { lng, lat }, {
+            compType,
+            comp: getFeatureCompRecord(feature.properties),
+            quiet: true
+        });
+        if (marker) {
+            bounds.extend([lng, lat]);
+        } else {
+            skipped++;
+        }
+    });
+
+    const [minLng, minLat, maxLng, maxLat] = shapes.length > 0 ? turf.bbox(turf.featureCollection(shapes)) : [];
+    const shapesInRange = shapes.length > 0 && isLngLatInRange(minLng, minLat) && isLngLatInRange(maxLng, maxLat);
+
+    if (shapesInRange) {
+        const name = document.getElementById('features-overlay-name').value.trim() || featureImport.fileName;
+        const geojson = {
+            type: 'FeatureCollection',
+            features: shapes.map(f => ({ type: 'Feature', geometry: f.geometry, properties: { name: f.properties.name || '' } }))
+        };
+        addOverlay(map, name, geojson);
+        bounds.extend([minLng, minLat]).extend([maxLng, maxLat]);
+    }
+
+    featureImport = { fileName: '', points: [], shapes: [] };
+    renderOverlayList();
+    notifyMapDataChanged();
+
+    if (!bounds.isEmpty()) {
+        map.fitBounds(bounds, { padding: 80, maxZoom: 15 });
+    }
+
+    // Only one subject pin is allowed per map, and only longitude/latitude can be placed
+    const warnings = [];
+    const subjectSkipped = skipped - outOfRange;
+    if (subjectSkipped > 0) {
+        warnings.push(`${subjectSkipped} point${subjectSkipped === 1 ? ' was' : 's were'} skipped because the map already has a subject pin.`);
+    }
+    if (outOfRange > 0) {
+        warnings.push(`${outOfRange} point${outOfRange === 1 ? ' was' : 's were'} skipped because the coordinates are not longitude/latitude (re-save the file in WGS84, EPSG:4326).`);
+    }
+    if (shapes.length > 0 && !shapesInRange) {
+        warnings.push('The lines and polygons were not added because their coordinates are not longitude/latitude (re-save the file in WGS84, EPSG:4326).');
+    }
+    if (warnings.length > 0) {
+        const dialog = document.getElementById('dialog-warning');
+        const message = document.getElementById('warning-message');
+        message.textContent = warnings.join(' ');
+        dialog.open = true;
+    }
+}
+
+/**
+ * List the current map's overlays in the map controls panel
+ */
+function renderOverlayList() {
+    const container = document.getElementById('overlay-list-container');
+    const list = document.getElementById('overlay-list');
+    const overlays = (map && map.userData && map.userData.overlays) || [];
+
+    list.innerHTML = overlays.map(overlay => `
+        <li>
+            <span class="overlay-name">${escapeHtml(overlay.name)}</span>
+            <button class="overlay-remove" data-overlay-id="${overlay.id}" aria-label="Remove overlay">&#x2715;</button>
+        </li>
+    `).join('');
+    container.classList.toggle('hidden', overlays.length === 0);
+}
@@ -0,0 +1,80 @@
+// Address geocoding for bulk imports. Providers are pluggable so imports can be
+// pointed at a local stub instead of the Mapbox API.
+
+// Search area for address lookups (Georgia plus a small margin)
+const GEORGIA_BBOX = [-85.63821630640555, 30.28790342288366, -79.64545775687766, 35.03288781998237];
+
+/**
+ * Create a provider that uses the Mapbox Geocoding API (or any server that
+ * answers with the same response shape, such as a local stub)
+ * @param {string} baseUrl - API origin, defaults to Mapbox
+ * @returns {Object} Provider with a geocode(address) method
+ */
+function createMapboxGeocodingProvider(baseUrl = 'https://api.mapbox.com') {
+    return {
+        name: 'mapbox',
+
+        /**
+         * Look up an address
+         * @param {string} address - Free-form address
+         * @returns {Promise<Object|null>} { lngLat: [lng, lat], placeName } or null if not found
+         */
+        async geocode(address) {
+            const params = new URLSearchParams({
+                access_token: CONFIG.MAPBOX_TOKEN,
+                country: 'us',
+                bbox: GEORGIA_BBOX.join(','),
+                limit: '1'
+            });
+            const response = await fetch(`${baseUrl}/geocoding/v5/mapbox.places/${encodeURIComponent(address)}.json?${params}`);
+            if (!response.ok) {
+                throw new Error(`Geocoding request failed (${response.status})`);
+            }
+
+            const data = await response.json();
+            const feature = data.features && data.features[0];
+            if (!feature) return null;
+
+            return { lngLat: feature.center, placeName: feature.place_name };
+        }
+    };
+}
+
+/**
+ * Create a provider that answers from a fixed address table, for testing
+ * imports without network access
+ * @param {Object} table - Map of address to [lng, lat]; matching ignores case and extra spaces
+ * @returns {Object} Provider with a geocode(address) method
+ */
+function createStaticGeocodingProvider(table) {
+    const normalize = (address) => address.toLowerCase().replace(/\s+/g, ' ').trim();
+    const lookup = new Map(Object.entries(table).map(([address, lngLat]) => [normalize(address), lngLat]));
+
+    return {
+        name: 'static',
+        async geocode(address) {
+            const lngLat = lookup.get(normalize(address));
+            return lngLat ? { lngLat, placeName: address } : null;
+        }
+    };
+}
+
+// Provider used by imports
+let geocodingProvider = createMapboxGeocodingProvider();
+
+/**
+ * Replace the geocoding provider (e.g. with a stub from the browser console)
+ * @param {Object} provider - Object with an async geocode(address) method
+ */
+function setGeocodingProvider(provider) {
+    geocodingProvider = provider;
+}
+
+/**
+ * Geocode an address with the current provider
+ * @param {string} address - Free-form address
+ * @returns {Promise<Object|null>} { lngLat: [lng, lat], placeName } or null if not found
+ */
+async function geocodeAddress(address) {
+    return geocodingProvider.geocode(address);
+}
@@ -0,0 +1,611 @@
+// Custom map controls drawn over the map (and into image exports)
+
+// Web Mercator meters per pixel at zoom 0 on the equator (512px tiles)
+const METERS_PER_PIXEL_AT_ZOOM_0 = 40075016.686 / 512;
+
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_FOOT = 0.3048;
+const SQUARE_FEET_PER_ACRE = 43560;
+
+// Corners a control can be docked to
+const MAP_CONTROL_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Space Mapbox leaves around docked controls, in CSS pixels
+const MAP_CONTROL_MARGIN = 10;
+
+// Legend, scale bar and north arrow, in the order they stack into a corner
+const MAP_DECORATIONS = {
+    legend: { label: 'Legend', measure: measureLegend, draw: drawLegend },
+    scaleBar: { label: 'Scale Bar', measure: measureScaleBar, draw: drawScaleBar },
+    northArrow: { label: 'North Arrow', measure: measureNorthArrow, draw: drawNorthArrow }
+};
+
+const DEFAULT_MAP_DECORATIONS = {
+    legend: { enabled: false, position: 'bottom-right' },
+    scaleBar: { enabled: false, position: 'bottom-left' },
+    northArrow: { enabled: false, position: 'bottom-right' }
+};
+
+// Longest the scale bar can be, in CSS pixels
+const SCALE_BAR_MAX_WIDTH = 120;
+
+// Legend, scale bar and north arrow controls on the current map, by key
+let mapDecorationControls = {};
+
+// On-screen size of the locator inset, in CSS pixels
+const INSET_MAP_SIZE = { width: 180, height: 140 };
+
+// Smallest extent box drawn on the inset, so a zoomed-in view still shows up
+const INSET_MIN_EXTENT_SIZE = 6;
+
+// Georgia outline the inset is drawn from
+// (regenerate with `node scripts/generate-county-manifest.js`)
+const INSET_OUTLINE_URL = 'data/georgia-outline.geojson';
+
+// State outline for the inset, loaded once and shared by every map
+let insetOutlinePromise = null;
+
+// The inset control on the current map, if shown
+let insetMapControl = null;
+
+/**
+ * Load the state outline the inset is drawn from
+ * @returns {Promise<Object>} { geojson, bbox } with bbox as [minLng, minLat, maxLng, maxLat]
+ */
+function loadInsetOutline() {
+    if (!insetOutlinePromise) {
+        // Always revalidate, like the county manifest, so a regenerated outline is picked up
+        insetOutlinePromise = fetch(INSET_OUTLINE_URL, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) throw new Error(`Could not load state outline (${response.status})`);
+                return response.json();
+            })
+            .then(geojson => ({ geojson, bbox: turf.bbox(geojson) }))
+            .catch(error => {
+                // Let the next call try again
+                insetOutlinePromise = null;
+                throw error;
+            });
+    }
+    return insetOutlinePromise;
+}
+
+/**
+ * Create a Mapbox control showing where the current view sits within Georgia
+ * @returns {Object} Mapbox IControl
+ */
+function createInsetMapControl() {
+    let map = null;
+    let container = null;
+    let canvas = null;
+
+    const render = async () => {
+        // syncMapControls removes this control on every settings change, so
+        // hold on to this map and canvas and give up if they go while loading
+        const targetMap = map;
+        const targetCanvas = canvas;
+        if (!targetMap || !targetCanvas) return;
+
+        const data = await loadInsetOutline();
+        if (canvas !== targetCanvas) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        targetCanvas.width = INSET_MAP_SIZE.width * ratio;
+        targetCanvas.height = INSET_MAP_SIZE.height * ratio;
+
+        const ctx = targetCanvas.getContext('2d');
+        drawInsetMap(ctx, { x: 0, y: 0, ...INSET_MAP_SIZE }, data, targetMap.getBounds(), ratio);
+    };
+
+    const redraw = () => {
+        render().catch(error => console.error('Error drawing inset map:', error));
+    };
+
+    return {
+        onAdd(mapInstance) {
+            map = mapInstance;
+            container = document.createElement('div');
+            container.className = 'mapboxgl-ctrl inset-map';
+
+            canvas = document.createElement('canvas');
+            canvas.style.width = `${INSET_MAP_SIZE.width}px`;
+            canvas.style.height = `${INSET_MAP_SIZE.height}px`;
+            container.appendChild(canvas);
+
+            map.on('moveend', redraw);
+            redraw();
+            return container;
+        },
+
+        onRemove() {
+            map.off('moveend', redraw);
+            container.remove();
+            map = null;
+            container = null;
+            canvas = null;
+        }
+    };
+}
+
+/**
+ * Show or hide the inset on a map and remember the choice in map state
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {boolean} enabled - Whether the inset should be shown
+ */
+function setInsetMapEnabled(map, enabled) {
+    map.userData.insetMap = { enabled };
+    syncMapControls(map);
+}
+
+/**
+ * Legend, scale bar and north arrow settings for a map, with defaults filled in
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Object} Settings by decoration key: { enabled, position }
+ */
+function getMapDecorations(map) {
+    const saved = map.userData.mapDecorations || {};
+    return Object.fromEntries(Object.keys(MAP_DECORATIONS).map(key => [
+        key,
+        { ...DEFAULT_MAP_DECORATIONS[key], ...(saved[key] || {}) }
+    ]));
+}
+
+/**
+ * Update one decoration's settings and redraw the map's controls
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} key - 'legend', 'scaleBar' or 'northArrow'
+ * @param {Object} changes - { enabled } and/or { position }
+ */
+function setMapDecoration(map, key, changes) {
+    const decorations = getMapDecorations(map);
+    decorations[key] = { ...decorations[key], ...changes };
+    map.userData.mapDecorations = decorations;
+    syncMapControls(map);
+}
+
+/**
+ * Controls to show on a map, in the order they are added (earlier ones sit
+ * nearer the corner). Exports stack them the same way.
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Array<Object>} { key, position }
+ */
+function getEnabledMapControls(map) {
+    const controls = [];
+    if (map.userData.insetMap?.enabled) {
+        controls.push({ key: 'inset', position: 'bottom-right' });
+    }
+    Object.entries(getMapDecorations(map)).forEach(([key, settings]) => {
+        if (settings.enabled) controls.push({ key, position: settings.position });
+    });
+    return controls;
+}
+
+/**
+ * Place the enabled controls in an image of the map, stacked into their
+ * corners the way Mapbox docks them on screen. Every export uses this.
+ * @param {mapboxgl.Map} map - Map with the settings and view to lay out (measured for the legend and scale bar)
+ * @param {number} width - Image width in CSS pixels
+ * @param {number} height - Image height in CSS pixels
+ * @returns {Array<Object>} { key, frame: { x, y, width, height } } in CSS pixels
+ */
+function layoutMapControls(map, width, height) {
+    const offsets = Object.fromEntries(MAP_CONTROL_POSITIONS.map(position => [position, MAP_CONTROL_MARGIN]));
+    const layout = [];
+
+    getEnabledMapControls(map).forEach(({ key, position }) => {
+        const size = key === 'inset' ? INSET_MAP_SIZE : MAP_DECORATIONS[key].measure(map);
+        if (!size) return;
+
+        // Earlier controls sit nearest the corner; later ones stack toward the middle
+        layout.push({
+            key,
+            frame: {
+                x: position.endsWith('left') ? MAP_CONTROL_MARGIN : width - size.width - MAP_CONTROL_MARGIN,
+                y: position.startsWith('top') ? offsets[position] : height - size.height - offsets[position],
+                ...size
+            }
+        });
+        offsets[position] += size.height + MAP_CONTROL_MARGIN;
+    });
+
+    return layout;
+}
+
+/**
+ * Re-add the inset, legend, scale bar and north arrow so the map matches
+ * its saved settings. Everything is re-added in a fixed order so the
+ * on-screen stacking always matches the export.
+ * @param {mapboxgl.Map} map - The map instance
+ */
+function syncMapControls(map) {
+    if (insetMapControl && map.hasControl(insetMapControl)) map.removeControl(insetMapControl);
+    Object.values(mapDecorationControls).forEach(control => {
+        if (map.hasControl(control)) map.removeControl(control);
+    });
+    insetMapControl = null;
+    mapDecorationControls = {};
+
+    getEnabledMapControls(map).forEach(({ key, position }) => {
+        if (key === 'inset') {
+            insetMapControl = createInsetMapControl();
+            map.addControl(insetMapControl, position);
+        } else {
+            mapDecorationControls[key] = createMapDecorationControl(key);
+            map.addControl(mapDecorationControls[key], position);
+        }
+    });
+}
+
+/**
+ * Redraw the legend, scale bar and north arrow (after pins, comp type or unit change)
+ */
+function refreshMapDecorations() {
+    Object.values(mapDecorationControls).forEach(control => control.render());
+}
+
+/**
+ * Create a Mapbox control that draws a decoration (legend, scale bar or north
+ * arrow) on a canvas with the same code the exports use
+ * @param {string} key - Key in MAP_DECORATIONS
+ * @returns {Object} Mapbox IControl with a render() method
+ */
+function createMapDecorationControl(key) {
+    const decoration = MAP_DECORATIONS[key];
+    let map = null;
+    let container = null;
+    let canvas = null;
+
+    const render = () => {
+        if (!map || !canvas) return;
+
+        const size = decoration.measure(map);
+        container.classList.toggle('hidden', !size);
+        if (!size) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.ceil(size.width * ratio);
+        canvas.height = Math.ceil(size.height * ratio);
+        canvas.style.width = `${size.width}px`;
+        canvas.style.height = `${size.height}px`;
+        decoration.draw(canvas.getContext('2d'), { x: 0, y: 0, ...size }, map, ratio);
+    };
+
+    return {
+        render,
+
+        onAdd(mapInstance) {
+            map = mapInstance;
+            container = document.createElement('div');
+            container.className = `mapboxgl-ctrl map-decoration map-decoration-${key}`;
+            canvas = document.createElement('canvas');
+            container.appendChild(canvas);
+
+            map.on('move', render);
+            render();
+            return container;
+        },
+
+        onRemove() {
+            map.off('move', render);
+            container.remove();
+            map = null;
+            container = null;
+            canvas = null;
+        }
+    };
+}
+
+/**
+ * Ground meters per CSS pixel at the center of a map
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {number} Meters per pixel
+ */
+function getMetersPerPixel(map) {
+    const latitude = map.getCenter().lat * Math.PI / 180;
+    return METERS_PER_PIXEL_AT_ZOOM_0 * Math.cos(latitude) / Math.pow(2, map.getZoom());
+}
+
+/**
+ * Pick a round scale bar length (1, 2 or 5 times a power of ten) no longer than the given distance
+ * @param {number} maxMeters - Longest bar allowed, in meters
+ * @param {string} unit - 'miles' or 'feet'
+ * @returns {Object} { meters, label }
+ */
+function getScaleBarLength(maxMeters, unit) {
+    const metersPerUnit = unit === 'feet' ? METERS_PER_FOOT : METERS_PER_MILE;
+    const max = maxMeters / metersPerUnit;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(max)));
+    const step = [5, 2, 1].find(s => s * magnitude <= max) || 1;
+    const length = Number((step * magnitude).toPrecision(3));
+
+    return {
+        meters: length * metersPerUnit,
+        label: unit === 'feet' ? `${length.toLocaleString()} ft` : `${length} mi`
+    };
+}
+
+/**
+ * Comp types listed in the legend: the visible ones that have pins
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Array<string>} Comp types
+ */
+function getLegendCompTypes(map) {
+    return getVisibleCompTypes(map.userData.currentCompType || 'subject')
+        .filter(type => (map.userData[getPinArrayKey(type)] || []).length > 0);
+}
+
+/**
+ * Legend size in CSS pixels
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Object|null} { width, height }, or null when there is nothing to list
+ */
+function measureLegend(map) {
+    const types = getLegendCompTypes(map);
+    if (types.length === 0) return null;
+
+    const ctx = document.createElement('canvas').getContext('2d');
+    ctx.font = `12px ${getComputedStyle(document.body).fontFamily}`;
+    const textWidth = Math.max(...types.map(type => ctx.measureText(getLegendLabel(map, type)).width));
+
+    return { width: Math.ceil(textWidth) + 42, height: types.length * 20 + 36 };
+}
+
+/**
+ * Legend row text, e.g. "Sales Comps (5)"
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} type - Comp type
+ * @returns {string} Label with pin count
+ */
+function getLegendLabel(map, type) {
+    return `${COMP_TYPE_GROUP_LABELS[type]} (${map.userData[getPinArrayKey(type)].length})`;
+}
+
+/**
+ * Draw the legend: a swatch in each visible comp type's pin color, with its pin count
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {mapboxgl.Map} map - Map whose pins are listed
+ * @param {number} scale - Canvas pixels per CSS pixel
+ */
+function drawLegend(ctx, frame, map, scale) {
+    const fontFamily = getComputedStyle(document.body).fontFamily;
+    const x = frame.x * scale;
+    const y = frame.y * scale;
+
+    ctx.save();
+    drawMapControlPanel(ctx, frame, scale);
+
+    ctx.fillStyle = '#111827';
+    ctx.textBaseline = 'middle';
+    ctx.font = `600 ${12 * scale}px ${fontFamily}`;
+    ctx.fillText('Legend', x + 10 * scale, y + 16 * scale);
+
+    ctx.font = `${12 * scale}px ${fontFamily}`;
+    getLegendCompTypes(map).forEach((type, i) => {
+        const cy = y + (36 + i * 20) * scale;
+
+        ctx.beginPath();
+        ctx.arc(x + 16 * scale, cy, 6 * scale, 0, Math.PI * 2);
+        ctx.fillStyle = PIN_COLORS[type];
+        ctx.fill();
+        ctx.lineWidth = 1.5 * scale;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        ctx.fillStyle = '#111827';
+        ctx.fillText(getLegendLabel(map, type), x + 30 * scale, cy);
+    });
+
+    ctx.restore();
+}
+
+/**
+ * Scale bar size in CSS pixels
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Object} { width, height }
+ */
+function measureScaleBar(map) {
+    const { meters } = getScaleBarLength(SCALE_BAR_MAX_WIDTH * getMetersPerPixel(map), getMeasureUnit());
+    return { width: Math.ceil(meters / getMetersPerPixel(map)) + 20, height: 34 };
+}
+
+/**
+ * Draw the scale bar in the measure widget's unit
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {mapboxgl.Map} map - Map the scale is measured on
+ * @param {number} scale - Canvas pixels per CSS pixel
+ */
+function drawScaleBar(ctx, frame, map, scale) {
+    const metersPerPixel = getMetersPerPixel(map);
+    const { meters, label } = getScaleBarLength(SCALE_BAR_MAX_WIDTH * metersPerPixel, getMeasureUnit());
+    const barWidth = (meters / metersPerPixel) * scale;
+    const barHeight = 5 * scale;
+    const barX = (frame.x + 10) * scale;
+    const barY = (frame.y + frame.height - 9) * scale - barHeight;
+
+    ctx.save();
+    drawMapControlPanel(ctx, frame, scale);
+
+    // Alternating black and white halves
+    ctx.fillStyle = '#111827';
+    ctx.fillRect(barX, barY, barWidth / 2, barHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(barX + barWidth / 2, barY, barWidth / 2, barHeight);
+    ctx.lineWidth = 1 * scale;
+    ctx.strokeStyle = '#111827';
+    ctx.strokeRect(barX, barY, barWidth, barHeight);
+
+    ctx.fillStyle = '#111827';
+    ctx.font = `${11 * scale}px ${getComputedStyle(document.body).fontFamily}`;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText('0', barX, barY - 2 * scale);
+    ctx.textAlign = 'right';
+    ctx.fillText(label, barX + barWidth, barY - 2 * scale);
+
+    ctx.restore();
+}
+
+/**
+ * North arrow size in CSS pixels
+ * @returns {Object} { width, height }
+ */
+function measureNorthArrow() {
+    return { width: 40, height: 40 };
+}
+
+/**
+ * Draw a north arrow, rotated against the map bearing so it points to true north
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {mapboxgl.Map} map - Map whose bearing is used
+ * @param {number} scale - Canvas pixels per CSS pixel
+ */
+function drawNorthArrow(ctx, frame, map, scale) {
+    const size = (Math.min(frame.width, frame.height) / 2) * scale;
+    const cx = (frame.x + frame.width / 2) * scale;
+    const cy = (frame.y + frame.height / 2) * scale;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, size - scale, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    ctx.fill();
+    ctx.lineWidth = 1 * scale;
+    ctx.strokeStyle = '#9ca3af';
+    ctx.stroke();
+
+    ctx.translate(cx, cy);
+    ctx.rotate(-map.getBearing() * Math.PI / 180);
+
+    ctx.beginPath();
+    ctx.moveTo(0, -size * 0.45);
+    ctx.lineTo(size * 0.3, size * 0.5);
+    ctx.lineTo(0, size * 0.3);
+    ctx.lineTo(-size * 0.3, size * 0.5);
+    ctx.closePath();
+    ctx.fillStyle = '#111827';
+    ctx.fill();
+
+    ctx.font = `700 ${10 * scale}px ${getComputedStyle(document.body).fontFamily}`;
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('N', 0, size * 0.12);
+    ctx.restore();
+}
+
+/**
+ * White rounded panel behind the legend and scale bar
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {number} scale - Canvas pixels per CSS pixel
+ */
+function drawMapControlPanel(ctx, frame, scale) {
+    ctx.beginPath();
+    ctx.roundRect((frame.x + 0.5) * scale, (frame.y + 0.5) * scale, (frame.width - 1) * scale, (frame.height - 1) * scale, 4 * scale);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    ctx.fill();
+    ctx.lineWidth = 1 * scale;
+    ctx.strokeStyle = '#9ca3af';
+    ctx.stroke();
+}
+
+/**
+ * Projection for the locator inset: equirectangular, corrected for latitude,
+ * fitting the outline inside the frame's padding
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {Array<number>} bbox - Outline bbox [minLng, minLat, maxLng, maxLat]
+ * @returns {Function} ([lng, lat]) => [x, y] in CSS pixels
+ */
+function getInsetProjection(frame, bbox) {
+    const padding = 8;
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+
+    const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+    const dataWidth = (maxLng - minLng) * lngScale;
+    const dataHeight = maxLat - minLat;
+    const fit = Math.min((frame.width - padding * 2) / dataWidth, (frame.height - padding * 2) / dataHeight);
+    const offsetX = frame.x + (frame.width - dataWidth * fit) / 2;
+    const offsetY = frame.y + (frame.height - dataHeight * fit) / 2;
+
+    return ([lng, lat]) => [
+        offsetX + (lng - minLng) * lngScale * fit,
+        offsetY + (maxLat - lat) * fit
+    ];
+}
+
+/**
+ * Box around the located view on the inset, grown to a minimum size so it stays visible when zoomed in
+ * @param {Function} project - From getInsetProjection
+ * @param {mapboxgl.LngLatBounds} viewBounds - Extent of the map being located
+ * @returns {Object} { x, y, width, height } in CSS pixels
+ */
+function getInsetExtentBox(project, viewBounds) {
+    const [left, top] = project([viewBounds.getWest(), viewBounds.getNorth()]);
+    const [right, bottom] = project([viewBounds.getEast(), viewBounds.getSouth()]);
+    const width = Math.max(right - left, INSET_MIN_EXTENT_SIZE);
+    const height = Math.max(bottom - top, INSET_MIN_EXTENT_SIZE);
+
+    return { x: (left + right) / 2 - width / 2, y: (top + bottom) / 2 - height / 2, width, height };
+}
+
+/**
+ * Draw the locator inset: the state outline, plus a box around the map's view
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {Object} data - State outline from loadInsetOutline
+ * @param {mapboxgl.LngLatBounds} viewBounds - Extent of the map being located
+ * @param {number} scale - Canvas pixels per CSS pixel
+ */
+function drawInsetMap(ctx, frame, data, viewBounds, scale) {
+    const projectCss = getInsetProjection(frame, data.bbox);
+    const project = coordinate => projectCss(coordinate).map(value => value * scale);
+
+    ctx.save();
+
+    // Keep a zoomed-out extent box inside the inset
+    ctx.beginPath();
+    ctx.rect(frame.x * scale, frame.y * scale, frame.width * scale, frame.height * scale);
+    ctx.clip();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(frame.x * scale, frame.y * scale, frame.width * scale, frame.height * scale);
+
+    // State outline
+    ctx.beginPath();
+    data.geojson.features.forEach(feature => {
+        const polygons = feature.geometry.type === 'MultiPolygon'
+            ? feature.geometry.coordinates
+            : [feature.geometry.coordinates];
+        polygons.forEach(rings => rings.forEach(ring => {
+            ring.forEach((coordinate, i) => {
+                const [x, y] = project(coordinate);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+        }));
+    });
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fill('evenodd');
+    ctx.lineWidth = 1 * scale;
+    ctx.strokeStyle = '#9ca3af';
+    ctx.stroke();
+
+    // View extent
+    const box = getInsetExtentBox(projectCss, viewBounds);
+    ctx.fillStyle = 'rgba(228, 26, 28, 0.2)';
+    ctx.fillRect(box.x * scale, box.y * scale, box.width * scale, box.height * scale);
+    ctx.lineWidth = 2 * scale;
+    ctx.strokeStyle = PIN_COLORS.subject;
+    ctx.strokeRect(box.x * scale, box.y * scale, box.width * scale, box.height * scale);
+
+    // Border
+    ctx.lineWidth = 1 * scale;
+    ctx.strokeStyle = '#6b7280';
+    ctx.strokeRect(frame.x * scale, frame.y * scale, frame.width * scale, frame.height * scale);
+
+    ctx.restore();
+}
@@ -0,0 +1,213 @@
+// Native map image rendering for exports. Renders an offscreen copy of the
+// map at the target resolution, then draws the pin markers onto its canvas,
+// so exports never touch the visible map or controls.
+
+// Layers that follow the cursor and never belong in an export
+const EXPORT_EXCLUDED_LAYER_PREFIXES = ['measure-preview'];
+
+// How long to wait for the offscreen map's tiles before giving up
+const EXPORT_RENDER_TIMEOUT_MS = 30000;
+
+/**
+ * Render part of the map to a canvas at an exact pixel size
+ * @param {mapboxgl.Map} sourceMap - The map to copy
+ * @param {Object} region - { x, y, width, height } within the map container, in CSS pixels
+ * @param {Object} size - { width, height } of the returned canvas, in pixels
+ * @param {Object} options - { decorations: false } to leave out the inset, legend, scale bar and north arrow;
+ *     { compType } to show another comp type's pins than the visible map does
+ * @returns {Promise<HTMLCanvasElement>} Rendered map with pins
+ */
+async function renderMapImage(sourceMap, region, size, options = {}) {
+    const pixelRatio = size.width / region.width;
+    const center = sourceMap.unproject([region.x + region.width / 2, region.y + region.height / 2]);
+
+    const exportMap = await createExportMap(sourceMap, {
+        width: region.width,
+        height: region.height,
+        pixelRatio,
+        center
+    });
+
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(exportMap.getCanvas(), 0, 0, size.width, size.height);
+
+        const compType = options.compType || sourceMap.userData.currentCompType || 'subject';
+        drawPinsOnCanvas(ctx, exportMap, getExportPins(sourceMap, compType), size.width / region.width);
+
+        if (options.decorations !== false) {
+            // The legend lists the exported comp type, not necessarily the one on screen
+            exportMap.userData = { ...sourceMap.userData, currentCompType: compType };
+            await drawMapControlsOnCanvas(ctx, exportMap, size.width / region.width);
+        }
+
+        return canvas;
+    } finally {
+        const container = exportMap.getContainer();
+        exportMap.remove();
+        container.remove();
+    }
+}
+
+/**
+ * Create a hidden, non-interactive copy of a map at a given pixel ratio and
+ * wait for it to finish rendering. Custom layers (counties, overlays,
+ * measurements) come along because they are part of the map's style.
+ * @param {mapboxgl.Map} sourceMap - The map to copy
+ * @param {Object} view - { width, height } in CSS pixels, pixelRatio, center
+ * @param {Function} view.excludeLayer - Optional (layerId) => boolean for extra layers to leave out
+ * @returns {Promise<mapboxgl.Map>} Rendered offscreen map
+ */
+async function createExportMap(sourceMap, view) {
+    const container = document.createElement('div');
+    container.style.cssText = `position: fixed; left: -100000px; top: 0; width: ${view.width}px; height: ${view.height}px;`;
+    document.body.appendChild(container);
+
+    const style = sourceMap.getStyle();
+    style.layers = style.layers.filter(layer => {
+        if (EXPORT_EXCLUDED_LAYER_PREFIXES.some(prefix => layer.id.startsWith(prefix))) return false;
+        return !(view.excludeLayer && view.excludeLayer(layer.id));
+    });
+
+    // Mapbox sizes its drawing buffer from devicePixelRatio when the map is created
+    const originalPixelRatio = Object.getOwnPropertyDescriptor(window, 'devicePixelRatio');
+    Object.defineProperty(window, 'devicePixelRatio', { get: () => view.pixelRatio, configurable: true });
+
+    let exportMap;
+    try {
+        exportMap = new mapboxgl.Map({
+            container,
+            style,
+            center: view.center,
+            zoom: sourceMap.getZoom(),
+            bearing: sourceMap.getBearing(),
+            pitch: sourceMap.getPitch(),
+            interactive: false,
+            attributionControl: false,
+            preserveDrawingBuffer: true,
+            fadeDuration: 0
+        });
+
+        // A missing tile or sprite is reported as an error but the map still
+        // reaches idle without it, so only the timeout fails the export
+        exportMap.on('error', (e) => console.warn('Export map error:', e.error || e));
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Timed out waiting for map tiles')), EXPORT_RENDER_TIMEOUT_MS);
+            exportMap.once('idle', () => {
+                clearTimeout(timeout);
+                resolve();
+            });
+        });
+    } catch (error) {
+        if (exportMap) exportMap.remove();
+        container.remove();
+        throw error;
+    } finally {
+        if (originalPixelRatio) {
+            Object.defineProperty(window, 'devicePixelRatio', originalPixelRatio);
+        } else {
+            delete window.devicePixelRatio;
+        }
+    }
+
+    return exportMap;
+}
+
+/**
+ * Pins shown for a comp type, in drawing order
+ * @param {mapboxgl.Map} sourceMap - Map whose pins are exported
+ * @param {string} compType - Comp type being shown, or 'all'
+ * @returns {Array<Object>} { type, number, lngLat }, subject last so it sits on top as it does on screen
+ */
+function getExportPins(sourceMap, compType) {
+    const types = getVisibleCompTypes(compType).filter(type => type !== 'subject');
+    return [...types, 'subject'].flatMap(type =>
+        (sourceMap.userData[getPinArrayKey(type)] || []).map(pin => ({ type, number: pin.number, lngLat: pin.lngLat }))
+    );
+}
+
+/**
+ * Draw pins onto an export canvas
+ * @param {CanvasRenderingContext2D} ctx - Export canvas context
+ * @param {mapboxgl.Map} exportMap - Offscreen map the canvas was rendered from
+ * @param {Array<Object>} pins - Pins from getExportPins
+ * @param {number} scale - Canvas pixels per CSS pixel
+ */
+function drawPinsOnCanvas(ctx, exportMap, pins, scale) {
+    pins.forEach(pin => {
+        const point = exportMap.project(pin.lngLat);
+        drawPin(ctx, point.x * scale, point.y * scale, {
+            label: String(pin.number),
+            color: PIN_COLORS[pin.type],
+            scale
+        });
+    });
+}
+
+/**
+ * Draw the inset, legend, scale bar and north arrow onto an export canvas,
+ * stacked into their corners the way Mapbox docks them on screen
+ * @param {CanvasRenderingContext2D} ctx - Export canvas context
+ * @param {mapboxgl.Map} exportMap - Offscreen map the canvas was rendered from (with the source map's userData)
+ * @param {number} scale - Canvas pixels per CSS pixel
+ */
+async function drawMapControlsOnCanvas(ctx, exportMap, scale) {
+    const layout = layoutMapControls(exportMap, ctx.canvas.width / scale, ctx.canvas.height / scale);
+
+    for (const { key, frame } of layout) {
+        if (key === 'inset') {
+            drawInsetMap(ctx, frame, await loadInsetOutline(), exportMap.getBounds(), scale);
+        } else {
+            MAP_DECORATIONS[key].draw(ctx, frame, exportMap, scale);
+        }
+    }
+}
+
+/**
+ * Draw one pin (round head with a number over a short stem) anchored at its tip,
+ * matching the DOM marker built by createPinElement
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Tip x, in canvas pixels
+ * @param {number} y - Tip y, in canvas pixels
+ * @param {Object} options - { label, color, scale }
+ */
+function drawPin(ctx, x, y, options) {
+    const s = options.scale;
+    const { headSize, borderWidth, stemWidth, stemHeight, fontSize } = PIN_GEOMETRY;
+    const radius = (headSize / 2) * s;
+    const cy = y - (stemHeight * s) - radius;
+
+    ctx.save();
+
+    // Drop shadow under the white outline and stem only
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+    ctx.shadowBlur = 3 * s;
+    ctx.shadowOffsetY = 2 * s;
+
+    ctx.fillStyle = options.color;
+    ctx.fillRect(x - (stemWidth * s) / 2, y - stemHeight * s, stemWidth * s, stemHeight * s);
+
+    ctx.beginPath();
+    ctx.arc(x, cy, radius, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+
+    ctx.shadowColor = 'transparent';
+    ctx.beginPath();
+    ctx.arc(x, cy, radius - borderWidth * s, 0, Math.PI * 2);
+    ctx.fillStyle = options.color;
+    ctx.fill();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${fontSize * s}px ${getComputedStyle(document.body).fontFamily}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(options.label, x, cy);
+
+    ctx.restore();
+}
@@ -1,5 +1,15 @@
 // Mapbox GL JS integration and map state management
 
+// County outline and fill style; an 'auto' color follows the basemap (see getBoundaryLineColor)
+const DEFAULT_COUNTY_BOUNDARY_STYLE = {
+    color: 'auto',
+    width: 2,
+    dash: 'solid',
+    opacity: 1,
+    fillColor: 'none',
+    fillOpacity: 0.15
+};
+
 // Default map state for new maps
 const DEFAULT_MAP_STATE = {
     center: [-83.82447702235812, 34.304740783725165],  // North Georgia
@@ -13,8 +23,12 @@ const DEFAULT_MAP_STATE = {
     landPins: [],
     countyBoundaries: {
         enabled: false,
-        selectedCounties: []
-    }
+        selectedCounties: [],
+        labels: false,
+        highlightSubject: false,
+        style: { ...DEFAULT_COUNTY_BOUNDARY_STYLE }
+    },
+    overlays: []
 };
 
 // Pin colors for each comp type
@@ -25,10 +39,56 @@ const PIN_COLORS = {
     land: '#4daf4a'
 };
 
+// Pin marker dimensions in CSS pixels, shared by the DOM markers and the export renderer
+const PIN_GEOMETRY = {
+    headSize: 36,
+    borderWidth: 3,
+    stemWidth: 3,
+    stemHeight: 8,
+    fontSize: 14
+};
+
+// Comp types that are numbered 1..n (the subject is always labeled 'S')
+const NUMBERED_COMP_TYPES = ['sales', 'rent', 'land'];
+
+// County boundary layers, bottom to top
+const COUNTY_BOUNDARY_LAYERS = ['county-boundaries-fill', 'county-boundaries-line', 'county-boundaries-labels'];
+
+// Dash patterns for county outlines, in multiples of the line width
+const COUNTY_LINE_DASHES = {
+    solid: null,
+    dashed: [4, 2],
+    dotted: [1, 2]
+};
+
+// County highlight fill by basemap: the subject's county stands out from its neighbours
+const COUNTY_FILL_COLORS = {
+    streets: {
+        subject: { color: '#2563eb', opacity: 0.22 },
+        neighbour: { color: '#6b7280', opacity: 0.08 }
+    },
+    satellite: {
+        subject: { color: '#facc15', opacity: 0.3 },
+        neighbour: { color: '#ffffff', opacity: 0.1 }
+    }
+};
+
+// Style given to newly saved measurements
+const DEFAULT_SAVED_MEASUREMENT_STYLE = {
+    color: '#dc2626',
+    width: 3
+};
+
+// Layers drawn for each saved measurement, appended to its source id
+const SAVED_MEASUREMENT_LAYER_SUFFIXES = ['-fill', '-line', '-label'];
+
 // Track map markers and state
 let mapMarkers = [];
 let nextPinId = 1;
 
+// Numbering of each comp type before its last "order by proximity", for undo
+let pinOrderHistory = {};
+
 /**
  * Initialize a new Mapbox GL JS map
  * @param {string} containerId - ID of the container element
@@ -70,6 +130,12 @@ function initializeMap(containerId, mapState = null) {
         landPins: state.landPins || [],
         currentCompType: state.currentCompType || 'subject', // Track which layer is active
         countyBoundaries: state.countyBoundaries || DEFAULT_MAP_STATE.countyBoundaries,
+        overlays: state.overlays || [],
+        libraryLayers: state.libraryLayers || [],
+        measurements: state.measurements || [],
+        exportFrame: state.exportFrame || null,
+        insetMap: state.insetMap || { enabled: false },
+        mapDecorations: state.mapDecorations || null,
         currentStyle: state.style || 'mapbox://styles/mapbox/streets-v12'
     };
 
@@ -93,7 +159,13 @@ function getMapState(map) {
         rentPins: map.userData?.rentPins || [],
         landPins: map.userData?.landPins || [],
         currentCompType: map.userData?.currentCompType || 'subject',
-        countyBoundaries: map.userData?.countyBoundaries || DEFAULT_MAP_STATE.countyBoundaries
+        countyBoundaries: map.userData?.countyBoundaries || DEFAULT_MAP_STATE.countyBoundaries,
+        overlays: map.userData?.overlays || [],
+        libraryLayers: map.userData?.libraryLayers || [],
+        measurements: map.userData?.measurements || [],
+        exportFrame: map.userData?.exportFrame || null,
+        insetMap: map.userData?.insetMap || { enabled: false },
+        mapDecorations: map.userData?.mapDecorations || null
     };
 }
 
@@ -138,19 +210,25 @@ function enablePinPlacement(map) {
  * Add a pin to the map
  * @param {mapboxgl.Map} map - The map instance
  * @param {Object} lngLat - The {lng, lat} coordinates
+ * @param {Object} options - Optional settings for pins created by imports
+ * @param {string} options.compType - Comp type to add (defaults to the active comp type)
+ * @param {Object} options.comp - Comp record to attach
+ * @param {boolean} options.quiet - Don't show the one-subject warning dialog
+ * @returns {mapboxgl.Marker|null} The new marker, or null if the pin was not added
  */
-function addPin(map, lngLat) {
-    const compType = map.userData.currentCompType || 'subject';
-    const pinArrayKey = compType === 'subject' ? 'subjectPins' : compType === 'sales' ? 'salePins' : compType === 'rent' ? 'rentPins' : 'landPins';
-    const pinArray = map.userData[pinArrayKey];
+function addPin(map, lngLat, options = {}) {
+    const compType = options.compType || map.userData.currentCompType || 'subject';
+    const pinArray = map.userData[getPinArrayKey(compType)];
 
     // Limit to one subject pin
     if (compType === 'subject' && pinArray.length > 0) {
-        const dialog = document.getElementById('dialog-warning');
-        const message = document.getElementById('warning-message');
-        message.textContent = 'Map can only have one subject pin! You can delete the existing subject pin by clicking on it.';
-        dialog.open = true;
-        return;
+        if (!options.quiet) {
+            const dialog = document.getElementById('dialog-warning');
+            const message = document.getElementById('warning-message');
+            message.textContent = 'Map can only have one subject pin! You can delete the existing subject pin by clicking on it.';
+            dialog.open = true;
+        }
+        return null;
     }
 
     const pinLabel = compType === 'subject' ? 'S' : (pinArray.length || 0) + 1;
@@ -161,12 +239,18 @@ function addPin(map, lngLat) {
         id: pinId,
         lngLat: [lngLat.lng, lngLat.lat],
         number: pinLabel,
-        type: compType
+        type: compType,
+        comp: normalizeCompRecord(options.comp)
     };
 
     // Create marker element with appropriate color
     const el = createPinElement(pinLabel, pinColor);
 
+    // Imported pins of a comp type that isn't showing start hidden, like switchCompType would
+    if (compType !== 'subject' && compType !== map.userData.currentCompType) {
+        el.style.display = 'none';
+    }
+
     // Create marker with anchor at bottom of pin
     const marker = new mapboxgl.Marker({
         element: el,
@@ -192,6 +276,7 @@ function addPin(map, lngLat) {
         const newLngLat = marker.getLngLat();
         pinData.lngLat = [newLngLat.lng, newLngLat.lat];
         updateMapPins(map);
+        updatePinCounties(map, [marker], { autoAdd: true });
 
         // Reset drag flag after a brief delay to prevent click event
         setTimeout(() => {
@@ -209,11 +294,20 @@ function addPin(map, lngLat) {
         }
     });
 
-    // Add to appropriate pin array
-    pinArray.push(pinData);
+    // Rebuild pin arrays (also recomputes distances from the subject)
+    updateMapPins(map);
+    updatePinCounties(map, [marker], { autoAdd: true });
 
-    // Notify app of data change
-    if (typeof notifyMapDataChanged === 'function') notifyMapDataChanged();
+    return marker;
+}
+
+/**
+ * Get the map.userData key that holds a comp type's pins
+ * @param {string} compType - 'subject', 'sales', 'rent' or 'land'
+ * @returns {string} Pin array key, e.g. 'salePins'
+ */
+function getPinArrayKey(compType) {
+    return compType === 'subject' ? 'subjectPins' : compType === 'sales' ? 'salePins' : compType === 'rent' ? 'rentPins' : 'landPins';
 }
 
 /**
@@ -224,8 +318,9 @@ function addPin(map, lngLat) {
  */
 function createPinElement(number, color = '#e41a1c') {
     const el = document.createElement('div');
+    const { headSize, borderWidth, stemWidth, stemHeight, fontSize } = PIN_GEOMETRY;
     el.className = 'map-pin';
-    el.innerHTML = `<div class="pin-head" style="background-color: ${color};"><span>${number}</span></div><div class="pin-stem" style="background-color: ${color};"></div>`;
+    el.innerHTML = `<div class="pin-head" style="background-color: ${color}; width: ${headSize}px; height: ${headSize}px; border-width: ${borderWidth}px;"><span style="font-size: ${fontSize}px;">${number}</span></div><div class="pin-stem" style="background-color: ${color}; width: ${stemWidth}px; height: ${stemHeight}px;"></div>`;
     return el;
 }
 
@@ -236,49 +331,90 @@ function createPinElement(number, color = '#e41a1c') {
  */
 function showPinMenu(map, marker) {
     const dialog = document.getElementById('dialog-edit-pin');
-    const input = document.getElementById('pin-renumber-input');
-    const renumberBtn = document.getElementById('confirm-renumber-pin');
+    const orderList = document.getElementById('pin-order-list');
+    const saveBtn = document.getElementById('confirm-save-pin');
     const deleteBtn = document.getElementById('confirm-delete-pin');
-    const renumberSection = input.closest('div');
+    const renumberSection = document.getElementById('pin-renumber-section');
+    const compFields = document.getElementById('comp-fields');
+    const addressInput = document.getElementById('comp-address');
+    const priceInput = document.getElementById('comp-price');
+    const dateInput = document.getElementById('comp-date');
+    const sizeInput = document.getElementById('comp-size');
+    const pricePerUnitInput = document.getElementById('comp-price-per-unit');
+    const notesInput = document.getElementById('comp-notes');
+    const distanceInfo = document.getElementById('pin-distance-info');
 
     const isSubject = marker.compType === 'subject';
+    const comp = normalizeCompRecord(marker.pinData.comp);
+    const labels = COMP_FIELD_LABELS[marker.compType] || COMP_FIELD_LABELS.sales;
 
     // Set dialog title and input value
     dialog.label = isSubject ? 'Edit Subject Pin' : `Edit Pin ${marker.pinData.number}`;
 
-    // Hide renumber input and button for subject pins
+    // Hide numbering order for subject pins
     if (isSubject) {
         renumberSection.style.display = 'none';
-        renumberBtn.style.display = 'none';
     } else {
         renumberSection.style.display = '';
-        renumberBtn.style.display = '';
-        input.value = marker.pinData.number;
+        renderPinOrderList(orderList, marker.compType, marker.pinData.id);
     }
 
+    // Label the comp fields for this comp type and fill in the saved record
+    document.getElementById('comp-price-label').textContent = labels.price;
+    document.getElementById('comp-date-label').textContent = labels.date;
+    document.getElementById('comp-size-label').textContent = labels.size;
+    document.getElementById('comp-price-per-unit-label').textContent = labels.pricePerUnit;
+    addressInput.value = comp.address;
+    priceInput.value = comp.price ?? '';
+    dateInput.value = comp.date;
+    sizeInput.value = comp.size ?? '';
+    pricePerUnitInput.value = comp.pricePerUnit ?? '';
+    notesInput.value = comp.notes;
+
+    // County, plus distance and direction from the subject (comps only)
+    const distanceText = isSubject ? '' : describeDistanceFromSubject({ ...marker.pinData, type: marker.compType });
+    const infoText = [formatPinCounty(marker.pinData), distanceText].filter(Boolean).join(' · ');
+    distanceInfo.textContent = infoText;
+    distanceInfo.classList.toggle('hidden', !infoText);
+
+    // Show the computed price per unit as a hint when the field is left blank
+    const updatePricePerUnitHint = () => {
+        const computed = computePricePerUnit(parseCompNumber(priceInput.value), parseCompNumber(sizeInput.value));
+        pricePerUnitInput.placeholder = computed === null ? '' : `${computed} (auto)`;
+    };
+    updatePricePerUnitHint();
+
     // Show dialog
     dialog.open = true;
 
-    // Focus input after dialog opens (only for non-subject pins)
-    if (!isSubject) {
-        setTimeout(() => input.focus(), 100);
-    }
-
-    // Handle renumber button click
-    const handleRenumber = () => {
-        const newNumber = parseInt(input.value, 10);
-
-        if (!newNumber || isNaN(newNumber)) {
-            input.style.borderColor = '#e41a1c';
-            return;
+    // Focus the first field after dialog opens
+    setTimeout(() => addressInput.focus(), 100);
+
+    // Handle save button click
+    const handleSave = () => {
+        // Renumber this comp type in the order shown in the list
+        if (!isSubject) {
+            const orderedIds = [...orderList.children].map(item => item.dataset.pinId);
+            const currentIds = getMarkersInNumberOrder(marker.compType).map(m => m.pinData.id);
+            if (orderedIds.join() !== currentIds.join()) {
+                // A manual reorder replaces whatever "order by proximity" would undo
+                delete pinOrderHistory[marker.compType];
+            }
+            applyPinNumberOrder(orderedIds);
         }
 
-        // Reset styling
-        input.style.borderColor = '#d1d5db';
-
-        // Update pin number
-        marker.pinData.number = newNumber;
-        marker.getElement().querySelector('span').textContent = newNumber;
+        // Update comp record, filling price per unit from price and size if left blank
+        const price = parseCompNumber(priceInput.value);
+        const size = parseCompNumber(sizeInput.value);
+        const pricePerUnit = parseCompNumber(pricePerUnitInput.value);
+        marker.pinData.comp = {
+            address: addressInput.value.trim(),
+            price,
+            date: dateInput.value,
+            size,
+            pricePerUnit: pricePerUnit ?? computePricePerUnit(price, size),
+            notes: notesInput.value.trim()
+        };
         updateMapPins(map);
 
         // Close dialog
@@ -297,28 +433,218 @@ function showPinMenu(map, marker) {
 
     // Cleanup function
     const cleanup = () => {
-        renumberBtn.removeEventListener('click', handleRenumber);
+        saveBtn.removeEventListener('click', handleSave);
         deleteBtn.removeEventListener('click', handleDelete);
-        input.removeEventListener('keypress', handleEnter);
-        input.style.borderColor = '#d1d5db';
+        compFields.removeEventListener('keypress', handleEnter);
+        priceInput.removeEventListener('input', updatePricePerUnitHint);
+        sizeInput.removeEventListener('input', updatePricePerUnitHint);
     };
 
-    // Handle Enter key in input
+    // Handle Enter key in any single-line input
     const handleEnter = (e) => {
-        if (e.key === 'Enter') {
-            handleRenumber();
+        if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') {
+            handleSave();
         }
     };
 
     // Add listeners
-    renumberBtn.addEventListener('click', handleRenumber);
+    saveBtn.addEventListener('click', handleSave);
     deleteBtn.addEventListener('click', handleDelete);
-    input.addEventListener('keypress', handleEnter);
+    compFields.addEventListener('keypress', handleEnter);
+    priceInput.addEventListener('input', updatePricePerUnitHint);
+    sizeInput.addEventListener('input', updatePricePerUnitHint);
 
     // Clean up on dialog close
     dialog.addEventListener('wa-hide', cleanup, { once: true });
 }
 
+/**
+ * Fill the pin dialog's drag-to-reorder list with a comp type's pins
+ * @param {HTMLElement} list - The list element to fill
+ * @param {string} compType - Comp type being edited
+ * @param {string} currentPinId - ID of the pin the dialog was opened for (highlighted)
+ */
+function renderPinOrderList(list, compType, currentPinId) {
+    list.innerHTML = '';
+
+    getMarkersInNumberOrder(compType).forEach(marker => {
+        const comp = normalizeCompRecord(marker.pinData.comp);
+        const [lng, lat] = marker.pinData.lngLat;
+
+        const item = document.createElement('li');
+        item.className = marker.pinData.id === currentPinId ? 'pin-order-item current' : 'pin-order-item';
+        item.draggable = true;
+        item.dataset.pinId = marker.pinData.id;
+        item.innerHTML = `
+            <span class="pin-order-handle" aria-hidden="true">&#8942;&#8942;</span>
+            <span class="pin-order-number" style="background-color: ${PIN_COLORS[compType]};"></span>
+            <span class="pin-order-label"></span>
+            <button type="button" class="pin-order-move" data-move="up" aria-label="Move up">&#9650;</button>
+            <button type="button" class="pin-order-move" data-move="down" aria-label="Move down">&#9660;</button>
+        `;
+        item.querySelector('.pin-order-label').textContent = comp.address || `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+
+        // Drag to reorder
+        item.addEventListener('dragstart', (e) => {
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.pinId);
+        });
+        item.addEventListener('dragend', () => {
+            item.classList.remove('dragging');
+            updatePinOrderNumbers(list);
+        });
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            const dragging = list.querySelector('.dragging');
+            if (!dragging || dragging === item) return;
+
+            // Drop above or below this item depending on which half the cursor is over
+            const rect = item.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            list.insertBefore(dragging, after ? item.nextSibling : item);
+        });
+        item.addEventListener('drop', (e) => e.preventDefault());
+
+        // Up/down buttons for keyboard users
+        item.querySelectorAll('.pin-order-move').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const up = btn.dataset.move === 'up';
+                const sibling = up ? item.previousElementSibling : item.nextElementSibling;
+                if (!sibling) return;
+                list.insertBefore(item, up ? sibling : sibling.nextSibling);
+                updatePinOrderNumbers(list);
+                btn.focus();
+            });
+        });
+
+        list.appendChild(item);
+    });
+
+    updatePinOrderNumbers(list);
+}
+
+/**
+ * Show each list item's new number (its position in the list)
+ * @param {HTMLElement} list - The pin order list
+ */
+function updatePinOrderNumbers(list) {
+    [...list.children].forEach((item, index) => {
+        item.querySelector('.pin-order-number').textContent = index + 1;
+    });
+}
+
+/**
+ * Get a comp type's markers sorted by pin number (ties keep placement order)
+ * @param {string} compType - Comp type to list
+ * @returns {Array<mapboxgl.Marker>} Sorted markers
+ */
+function getMarkersInNumberOrder(compType) {
+    return mapMarkers
+        .filter(marker => marker.compType === compType)
+        .sort((a, b) => Number(a.pinData.number) - Number(b.pinData.number));
+}
+
+/**
+ * Set a pin's number and update its marker label
+ * @param {mapboxgl.Marker} marker - The pin's marker
+ * @param {number} number - New pin number
+ */
+function setPinNumber(marker, number) {
+    marker.pinData.number = number;
+    marker.getElement().querySelector('span').textContent = number;
+}
+
+/**
+ * Number pins 1..n in the given order. Does not rebuild map.userData; call
+ * updateMapPins afterwards.
+ * @param {Array<string>} orderedIds - Pin IDs of one comp type in their new order
+ */
+function applyPinNumberOrder(orderedIds) {
+    orderedIds.forEach((id, index) => {
+        const marker = mapMarkers.find(m => m.pinData.id === id);
+        if (marker) setPinNumber(marker, index + 1);
+    });
+}
+
+/**
+ * Renumber a comp type 1..n keeping its current order, closing gaps and
+ * splitting duplicate numbers
+ * @param {string} compType - Comp type to renumber
+ */
+function closePinNumberGaps(compType) {
+    applyPinNumberOrder(getMarkersInNumberOrder(compType).map(marker => marker.pinData.id));
+}
+
+/**
+ * Renumber a comp type from nearest to farthest from the subject pin.
+ * The previous numbering is kept so it can be restored with undoPinOrder.
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} compType - 'sales', 'rent' or 'land'
+ * @returns {boolean} False if there is no subject pin to measure from
+ */
+function orderPinsByProximity(map, compType) {
+    if (!mapMarkers.some(marker => marker.compType === 'subject')) return false;
+
+    const markers = getMarkersInNumberOrder(compType);
+    pinOrderHistory[compType] = markers.map(marker => marker.pinData.id);
+
+    const byDistance = [...markers].sort((a, b) =>
+        (a.pinData.distanceMiles ?? Infinity) - (b.pinData.distanceMiles ?? Infinity)
+    );
+    applyPinNumberOrder(byDistance.map(marker => marker.pinData.id));
+    updateMapPins(map);
+    return true;
+}
+
+/**
+ * Whether a comp type has an "order by proximity" that can be undone
+ * @param {string} compType - Comp type to check
+ * @returns {boolean} True if undoPinOrder would change something
+ */
+function canUndoPinOrder(compType) {
+    return Boolean(pinOrderHistory[compType]);
+}
+
+/**
+ * Restore the numbering a comp type had before its last "order by proximity".
+ * Pins added since then are numbered after the restored ones.
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} compType - Comp type to restore
+ */
+function undoPinOrder(map, compType) {
+    const previousIds = pinOrderHistory[compType];
+    if (!previousIds) return;
+    delete pinOrderHistory[compType];
+
+    const currentIds = getMarkersInNumberOrder(compType).map(marker => marker.pinData.id);
+    const restoredIds = previousIds.filter(id => currentIds.includes(id));
+    const addedIds = currentIds.filter(id => !previousIds.includes(id));
+
+    applyPinNumberOrder([...restoredIds, ...addedIds]);
+    updateMapPins(map);
+}
+
+/**
+ * Find pin numbers used more than once within a comp type
+ * @param {string} compType - Comp type to check
+ * @returns {Array<number>} Duplicated numbers in ascending order
+ */
+function findDuplicatePinNumbers(compType) {
+    const seen = new Set();
+    const duplicates = new Set();
+
+    mapMarkers
+        .filter(marker => marker.compType === compType)
+        .forEach(marker => {
+            const number = Number(marker.pinData.number);
+            if (seen.has(number)) duplicates.add(number);
+            seen.add(number);
+        });
+
+    return [...duplicates].sort((a, b) => a - b);
+}
+
 /**
  * Delete a pin from the map
  * @param {mapboxgl.Map} map - The map instance
@@ -331,23 +657,95 @@ function deletePin(map, marker) {
         mapMarkers.splice(index, 1);
     }
 
-    // Remove from appropriate pin array based on comp type
-    const compType = marker.compType || 'sales';
-    const pinArrayKey = compType === 'subject' ? 'subjectPins' : compType === 'sales' ? 'salePins' : compType === 'rent' ? 'rentPins' : 'landPins';
-    const pinArray = map.userData[pinArrayKey];
+    // Remove marker from map
+    marker.remove();
 
-    if (pinArray) {
-        const dataIndex = pinArray.findIndex(p => p.id === marker.pinData.id);
-        if (dataIndex > -1) {
-            pinArray.splice(dataIndex, 1);
-        }
+    // Close the gap the deleted pin left in its comp type's numbering
+    if (marker.compType !== 'subject') {
+        closePinNumberGaps(marker.compType);
     }
 
-    // Remove marker from map
-    marker.remove();
+    // Rebuild pin arrays (deleting the subject clears comp distances)
+    updateMapPins(map);
+}
 
-    // Notify app of data change
-    if (typeof notifyMapDataChanged === 'function') notifyMapDataChanged();
+/**
+ * Build the saved representation of a pin from its marker
+ * @param {mapboxgl.Marker} marker - The pin's marker
+ * @returns {Object} Pin data for map state
+ */
+function getPinRecord(marker) {
+    const record = {
+        id: marker.pinData.id,
+        lngLat: marker.pinData.lngLat,
+        number: marker.pinData.number,
+        type: marker.compType,
+        county: marker.pinData.county ?? null,
+        comp: normalizeCompRecord(marker.pinData.comp)
+    };
+
+    if (marker.compType !== 'subject') {
+        record.distanceMiles = marker.pinData.distanceMiles ?? null;
+        record.direction = marker.pinData.direction ?? null;
+    }
+
+    return record;
+}
+
+/**
+ * Recompute each comp's straight-line distance and direction from the subject pin
+ * and refresh the marker tooltips. Comps get null values when there is no subject.
+ */
+function updatePinDistances() {
+    const subjectMarker = mapMarkers.find(marker => marker.compType === 'subject');
+
+    mapMarkers.forEach(marker => {
+        if (marker.compType === 'subject') return;
+
+        const { distanceMiles, direction } = subjectMarker
+            ? getDistanceFromSubject(subjectMarker.pinData.lngLat, marker.pinData.lngLat)
+            : { distanceMiles: null, direction: null };
+
+        marker.pinData.distanceMiles = distanceMiles;
+        marker.pinData.direction = direction;
+        marker.getElement().title = describeDistanceFromSubject({ ...marker.pinData, type: marker.compType });
+    });
+}
+
+/**
+ * Work out which county each pin sits in and store it on the pin. Results for
+ * pins that were moved or deleted while the lookup ran are dropped.
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {Array<mapboxgl.Marker>} markers - Pins to look up
+ * @param {Object} options - { autoAdd: true } to offer the counties to the boundary selection
+ */
+async function updatePinCounties(map, markers, options = {}) {
+    if (markers.length === 0) return;
+
+    const results = await Promise.all(markers.map(async (marker) => {
+        const lngLat = marker.pinData.lngLat;
+        try {
+            return { marker, lngLat, county: await findCountyAtPoint(lngLat) };
+        } catch (error) {
+            console.error('Error detecting pin county:', error);
+            return null;
+        }
+    }));
+
+    const current = results.filter(result =>
+        result && mapMarkers.includes(result.marker) && result.marker.pinData.lngLat === result.lngLat
+    );
+    if (current.length === 0) return;
+
+    current.forEach(({ marker, county }) => {
+        marker.pinData.county = county;
+    });
+    updateMapPins(map);
+
+    const counties = [...new Set(current.map(result => result.county).filter(Boolean))];
+    if (options.autoAdd && counties.length > 0 && typeof notifyPinCountiesDetected === 'function') {
+        notifyPinCountiesDetected(counties);
+    }
 }
 
 /**
@@ -355,42 +753,27 @@ function deletePin(map, marker) {
  * @param {mapboxgl.Map} map - The map instance
  */
 function updateMapPins(map) {
+    updatePinDistances();
+
     // Separate markers by type
     map.userData.subjectPins = mapMarkers
         .filter(marker => marker.compType === 'subject')
-        .map(marker => ({
-            id: marker.pinData.id,
-            lngLat: marker.pinData.lngLat,
-            number: marker.pinData.number,
-            type: 'subject'
-        }));
+        .map(getPinRecord);
 
     map.userData.salePins = mapMarkers
         .filter(marker => marker.compType === 'sales')
-        .map(marker => ({
-            id: marker.pinData.id,
-            lngLat: marker.pinData.lngLat,
-            number: marker.pinData.number,
-            type: 'sales'
-        }));
+        .map(getPinRecord);
 
     map.userData.rentPins = mapMarkers
         .filter(marker => marker.compType === 'rent')
-        .map(marker => ({
-            id: marker.pinData.id,
-            lngLat: marker.pinData.lngLat,
-            number: marker.pinData.number,
-            type: 'rent'
-        }));
+        .map(getPinRecord);
 
     map.userData.landPins = mapMarkers
         .filter(marker => marker.compType === 'land')
-        .map(marker => ({
-            id: marker.pinData.id,
-            lngLat: marker.pinData.lngLat,
-            number: marker.pinData.number,
-            type: 'land'
-        }));
+        .map(getPinRecord);
+
+    // The subject may have moved into another county
+    updateSubjectCountyHighlight(map);
 
     // Notify app of data change
     if (typeof notifyMapDataChanged === 'function') notifyMapDataChanged();
@@ -400,6 +783,7 @@ function updateMapPins(map) {
  * Restore pins from saved state
  * @param {mapboxgl.Map} map - The map instance
  * @param {Object} mapState - Map state containing pin arrays
+ * @returns {boolean} True if pins were renumbered, so the map no longer matches mapState
  */
 function restorePins(map, mapState) {
     // Clear existing markers
@@ -427,7 +811,7 @@ function restorePins(map, mapState) {
             .setLngLat(pinData.lngLat)
             .addTo(map);
 
-        marker.pinData = { ...pinData };
+        marker.pinData = { ...pinData, comp: normalizeCompRecord(pinData.comp) };
         marker.isDragging = false;
         marker.compType = compType;
         mapMarkers.push(marker);
@@ -442,6 +826,7 @@ function restorePins(map, mapState) {
             const newLngLat = marker.getLngLat();
             marker.pinData.lngLat = [newLngLat.lng, newLngLat.lat];
             updateMapPins(map);
+            updatePinCounties(map, [marker], { autoAdd: true });
 
             // Reset drag flag after a brief delay to prevent click event
             setTimeout(() => {
@@ -466,11 +851,35 @@ function restorePins(map, mapState) {
         }
     });
 
-    // Update map user data
-    map.userData.subjectPins = mapState.subjectPins || [];
-    map.userData.salePins = mapState.salePins || [];
-    map.userData.rentPins = mapState.rentPins || [];
-    map.userData.landPins = mapState.landPins || [];
+    // Keep each comp type numbered 1..n. The saved record keeps the old numbers
+    // until the map is saved again, so tell the user about any change.
+    const savedNumbers = new Map(mapMarkers.map(marker => [marker, marker.pinData.number]));
+    const renumberedSummaries = [];
+    NUMBERED_COMP_TYPES.forEach(compType => {
+        const duplicates = findDuplicatePinNumbers(compType);
+        closePinNumberGaps(compType);
+
+        const changed = mapMarkers.some(marker => marker.compType === compType && marker.pinData.number !== savedNumbers.get(marker));
+        if (changed) {
+            const label = COMP_TYPE_GROUP_LABELS[compType];
+            renumberedSummaries.push(duplicates.length > 0 ? `${label} (duplicate ${duplicates.join(', ')})` : label);
+        }
+    });
+
+    if (renumberedSummaries.length > 0) {
+        const dialog = document.getElementById('dialog-warning');
+        const message = document.getElementById('warning-message');
+        message.textContent = `This map had gaps or duplicates in the pin numbers of ${renumberedSummaries.join(' and ')}. They have been renumbered in sequence; click a pin to check the order, then save the map to keep the new numbers.`;
+        dialog.open = true;
+    }
+
+    // Update map user data (recomputes distances for maps saved before they were tracked)
+    updateMapPins(map);
+
+    // Fill in counties for pins saved before they were tracked
+    updatePinCounties(map, mapMarkers.filter(marker => marker.pinData.county === undefined));
+
+    return renumberedSummaries.length > 0;
 }
 
 /**
@@ -480,6 +889,7 @@ function restorePins(map, mapState) {
 function clearAllPins(map) {
     mapMarkers.forEach(marker => marker.remove());
     mapMarkers = [];
+    pinOrderHistory = {};
     map.userData.subjectPins = [];
     map.userData.salePins = [];
     map.userData.rentPins = [];
@@ -489,14 +899,15 @@ function clearAllPins(map) {
 /**
  * Switch visible pins based on comp type
  * @param {mapboxgl.Map} map - The map instance
- * @param {string} compType - The comp type ('sales', 'rent', or 'land')
+ * @param {string} compType - The comp type ('subject', 'sales', 'rent', or 'land')
  */
 function switchCompType(map, compType) {
     map.userData.currentCompType = compType;
 
     // Show/hide markers based on comp type (subject pins always visible)
+    const visibleTypes = getVisibleCompTypes(compType);
     mapMarkers.forEach(marker => {
-        if (marker.compType === 'subject' || marker.compType === compType) {
+        if (visibleTypes.includes(marker.compType)) {
             marker.getElement().style.display = '';
         } else {
             marker.getElement().style.display = 'none';
@@ -504,32 +915,54 @@ function switchCompType(map, compType) {
     });
 }
 
+/**
+ * Comp types whose pins are shown for a selected comp type
+ * @param {string} compType - Selected comp type, or 'all'
+ * @returns {Array<string>} Visible comp types, subject first
+ */
+function getVisibleCompTypes(compType) {
+    if (compType === 'all') return ['subject', ...NUMBERED_COMP_TYPES];
+    return compType === 'subject' ? ['subject'] : ['subject', compType];
+}
+
 /**
  * Update county boundaries on the map
  * @param {mapboxgl.Map} map - The map instance
  * @param {boolean} enabled - Whether to show boundaries
  * @param {Array<string>} selectedCounties - Array of county names to display
+ * @param {Object} options - Display settings to change ({ labels, highlightSubject, style }); others are kept
  */
-async function updateCountyBoundaries(map, enabled, selectedCounties) {
+async function updateCountyBoundaries(map, enabled, selectedCounties, options = {}) {
     // Update user data
-    map.userData.countyBoundaries = {
+    const boundaries = {
+        labels: false,
+        highlightSubject: false,
+        ...map.userData.countyBoundaries,
+        ...options,
         enabled,
         selectedCounties: selectedCounties || []
     };
+    map.userData.countyBoundaries = boundaries;
 
     // Remove existing layers and sources
-    if (map.getLayer('county-boundaries-line')) {
-        map.removeLayer('county-boundaries-line');
-    }
+    COUNTY_BOUNDARY_LAYERS.forEach(id => {
+        if (map.getLayer(id)) map.removeLayer(id);
+    });
     if (map.getSource('counties')) {
         map.removeSource('counties');
     }
+    if (map.getSource('county-labels')) {
+        map.removeSource('county-labels');
+    }
 
     // Add new layers if enabled and counties selected
     if (enabled && selectedCounties && selectedCounties.length > 0) {
         try {
             const geojson = await fetchGeorgiaCounties(selectedCounties);
 
+            // A newer call replaced the selection while files were loading
+            if (map.userData.countyBoundaries !== boundaries) return;
+
             if (!map.getSource('counties')) {
                 map.addSource('counties', {
                     type: 'geojson',
@@ -537,25 +970,189 @@ async function updateCountyBoundaries(map, enabled, selectedCounties) {
                 });
             }
 
-            // Add outline layer — white on satellite, black on streets
-            const lineColor = map.userData.currentStyle === 'mapbox://styles/mapbox/satellite-streets-v12'
-                ? '#ffffff'
-                : '#000000';
+            // Translucent fill, stronger for the subject's county when highlighted
+            const style = getCountyBoundaryStyle(map);
+            if (boundaries.highlightSubject || style.fillColor !== 'none') {
+                map.addLayer({
+                    id: 'county-boundaries-fill',
+                    type: 'fill',
+                    source: 'counties',
+                    paint: getCountyFillPaint(map)
+                });
+            }
+
+            // Add outline layer
+            const linePaint = {
+                'line-color': getCountyLineColor(map),
+                'line-width': style.width,
+                'line-opacity': style.opacity
+            };
+            if (COUNTY_LINE_DASHES[style.dash]) {
+                linePaint['line-dasharray'] = COUNTY_LINE_DASHES[style.dash];
+            }
             map.addLayer({
                 id: 'county-boundaries-line',
                 type: 'line',
                 source: 'counties',
-                paint: {
-                    'line-color': lineColor,
-                    'line-width': 2
-                }
+                paint: linePaint
             });
+
+            // County names at a point inside each county
+            if (boundaries.labels) {
+                map.addSource('county-labels', {
+                    type: 'geojson',
+                    data: getCountyLabelPoints(geojson)
+                });
+
+                const isSatellite = isSatelliteStyle(map);
+                map.addLayer({
+                    id: 'county-boundaries-labels',
+                    type: 'symbol',
+                    source: 'county-labels',
+                    layout: {
+                        'text-field': ['get', 'label'],
+                        'text-font': ['DIN Pro Bold', 'Arial Unicode MS Bold'],
+                        'text-size': 14,
+                        'text-transform': 'uppercase',
+                        'text-letter-spacing': 0.1,
+                        'text-allow-overlap': true
+                    },
+                    paint: {
+                        'text-color': isSatellite ? '#ffffff' : '#374151',
+                        'text-halo-color': isSatellite ? 'rgba(0, 0, 0, 0.75)' : 'rgba(255, 255, 255, 0.9)',
+                        'text-halo-width': 1.5
+                    }
+                });
+            }
         } catch (error) {
             console.error('Error loading county boundaries:', error);
         }
     }
 }
 
+/**
+ * Whether the map is showing the satellite basemap
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {boolean} True on satellite
+ */
+function isSatelliteStyle(map) {
+    return map.userData.currentStyle === 'mapbox://styles/mapbox/satellite-streets-v12';
+}
+
+/**
+ * Outline color for boundary lines — white on satellite, black on streets
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {string} CSS color
+ */
+function getBoundaryLineColor(map) {
+    return isSatelliteStyle(map) ? '#ffffff' : '#000000';
+}
+
+/**
+ * County outline and fill style for a map, with defaults filled in
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Object} { color, width, dash, opacity, fillColor, fillOpacity }
+ */
+function getCountyBoundaryStyle(map) {
+    return { ...DEFAULT_COUNTY_BOUNDARY_STYLE, ...(map.userData.countyBoundaries?.style || {}) };
+}
+
+/**
+ * County outline color: the chosen color, or the basemap's boundary color when set to auto
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {string} CSS color
+ */
+function getCountyLineColor(map) {
+    const { color } = getCountyBoundaryStyle(map);
+    return color === 'auto' ? getBoundaryLineColor(map) : color;
+}
+
+/**
+ * Fill colors for the subject's county and its neighbours. A chosen fill
+ * color applies to every county; the subject highlight, when on, overrides
+ * it for the subject's county.
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Object} { subject, neighbour } with color and opacity for each
+ */
+function getCountyFillColors(map) {
+    const style = getCountyBoundaryStyle(map);
+    const highlight = COUNTY_FILL_COLORS[isSatelliteStyle(map) ? 'satellite' : 'streets'];
+    const fill = style.fillColor === 'none'
+        ? { color: highlight.neighbour.color, opacity: 0 }
+        : { color: style.fillColor, opacity: style.fillOpacity };
+
+    if (!map.userData.countyBoundaries?.highlightSubject) {
+        return { subject: fill, neighbour: fill };
+    }
+    return {
+        subject: highlight.subject,
+        neighbour: style.fillColor === 'none' ? highlight.neighbour : fill
+    };
+}
+
+/**
+ * Paint for the county fill layer, highlighting the county the subject pin is in
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Object} Mapbox fill paint properties
+ */
+function getCountyFillPaint(map) {
+    const colors = getCountyFillColors(map);
+    const subjectCounty = map.userData.subjectPins?.[0]?.county || '';
+    const isSubject = ['==', ['get', 'county'], subjectCounty];
+
+    return {
+        'fill-color': ['case', isSubject, colors.subject.color, colors.neighbour.color],
+        'fill-opacity': ['case', isSubject, colors.subject.opacity, colors.neighbour.opacity]
+    };
+}
+
+/**
+ * Re-color the county fill after the subject pin moves to another county
+ * @param {mapboxgl.Map} map - The map instance
+ */
+function updateSubjectCountyHighlight(map) {
+    if (!map.getLayer('county-boundaries-fill')) return;
+
+    const paint = getCountyFillPaint(map);
+    map.setPaintProperty('county-boundaries-fill', 'fill-color', paint['fill-color']);
+    map.setPaintProperty('county-boundaries-fill', 'fill-opacity', paint['fill-opacity']);
+}
+
+/**
+ * One label point per county, inside its largest polygon so odd shapes still get an interior point
+ * @param {Object} geojson - County boundaries from fetchGeorgiaCounties
+ * @returns {Object} FeatureCollection of points with a label property
+ */
+function getCountyLabelPoints(geojson) {
+    const largest = {};
+    geojson.features.forEach(feature => {
+        if (!feature.geometry) return;
+        const area = turf.area(feature);
+        const county = feature.properties.county;
+        if (!largest[county] || area > largest[county].area) {
+            largest[county] = { feature, area };
+        }
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features: Object.entries(largest).map(([county, { feature }]) =>
+            turf.pointOnFeature(feature.geometry.type === 'MultiPolygon' ? getLargestPolygon(feature) : feature, { county, label: `${county} County` })
+        )
+    };
+}
+
+/**
+ * Largest polygon of a MultiPolygon feature (the mainland, not a sliver or island)
+ * @param {Object} feature - MultiPolygon feature
+ * @returns {Object} Polygon feature
+ */
+function getLargestPolygon(feature) {
+    return feature.geometry.coordinates
+        .map(coordinates => turf.polygon(coordinates))
+        .reduce((best, polygon) => (turf.area(polygon) > turf.area(best) ? polygon : best));
+}
+
 /**
  * Restore county boundaries from saved state
  * @param {mapboxgl.Map} map - The map instance
@@ -567,10 +1164,439 @@ async function restoreCountyBoundaries(map, countyBoundaries) {
     await updateCountyBoundaries(
         map,
         countyBoundaries.enabled,
-        countyBoundaries.selectedCounties
+        countyBoundaries.selectedCounties,
+        countyBoundaries
     );
 }
 
+/**
+ * Add an imported overlay (lines and polygons) to the map and map state
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} name - Overlay name, usually the source file name
+ * @param {Object} geojson - FeatureCollection of line and polygon features
+ * @returns {Object} The stored overlay { id, name, geojson }
+ */
+function addOverlay(map, name, geojson) {
+    const overlay = {
+        id: `overlay-${Date.now().toString(36)}`,
+        name,
+        geojson
+    };
+    map.userData.overlays = [...(map.userData.overlays || []), overlay];
+    addOverlayLayer(map, overlay);
+    return overlay;
+}
+
+/**
+ * Remove an imported overlay from the map and map state
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} overlayId - ID of the overlay to remove
+ */
+function removeOverlay(map, overlayId) {
+    if (map.getLayer(`${overlayId}-line`)) {
+        map.removeLayer(`${overlayId}-line`);
+    }
+    if (map.getSource(overlayId)) {
+        map.removeSource(overlayId);
+    }
+    map.userData.overlays = (map.userData.overlays || []).filter(o => o.id !== overlayId);
+}
+
+/**
+ * Draw one overlay, outlined the same way as county boundaries
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {Object} overlay - Overlay { id, name, geojson }
+ */
+function addOverlayLayer(map, overlay) {
+    if (map.getSource(overlay.id)) return;
+
+    map.addSource(overlay.id, {
+        type: 'geojson',
+        data: overlay.geojson
+    });
+
+    map.addLayer({
+        id: `${overlay.id}-line`,
+        type: 'line',
+        source: overlay.id,
+        paint: {
+            'line-color': getBoundaryLineColor(map),
+            'line-width': 2
+        }
+    });
+}
+
+/**
+ * Draw every saved overlay. Called on load and after style changes (which wipe custom layers).
+ * @param {mapboxgl.Map} map - The map instance
+ */
+function restoreOverlays(map) {
+    (map.userData.overlays || []).forEach(overlay => addOverlayLayer(map, overlay));
+}
+
+/**
+ * Show a shared overlay library layer on a map and remember it in map state
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} layerId - Library layer UUID
+ */
+async function showLibraryLayer(map, layerId) {
+    const enabled = map.userData.libraryLayers || [];
+    if (!enabled.includes(layerId)) {
+        map.userData.libraryLayers = [...enabled, layerId];
+    }
+    await addLibraryLayer(map, layerId);
+}
+
+/**
+ * Hide a library layer on a map and drop it from map state
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} layerId - Library layer UUID
+ */
+function hideLibraryLayer(map, layerId) {
+    const sourceId = `library-${layerId}`;
+    [`${sourceId}-fill`, `${sourceId}-line`].forEach(id => {
+        if (map.getLayer(id)) map.removeLayer(id);
+    });
+    if (map.getSource(sourceId)) {
+        map.removeSource(sourceId);
+    }
+    map.userData.libraryLayers = (map.userData.libraryLayers || []).filter(id => id !== layerId);
+}
+
+/**
+ * Redraw a library layer that is shown on the map, e.g. after its style changed
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} layerId - Library layer UUID
+ */
+async function redrawLibraryLayer(map, layerId) {
+    const sourceId = `library-${layerId}`;
+    [`${sourceId}-fill`, `${sourceId}-line`].forEach(id => {
+        if (map.getLayer(id)) map.removeLayer(id);
+    });
+    if (map.getSource(sourceId)) {
+        map.removeSource(sourceId);
+    }
+    await addLibraryLayer(map, layerId);
+}
+
+/**
+ * Draw one library layer with its saved style
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} layerId - Library layer UUID
+ */
+async function addLibraryLayer(map, layerId) {
+    const sourceId = `library-${layerId}`;
+
+    let layer;
+    try {
+        layer = await loadLibraryLayer(layerId);
+    } catch (error) {
+        // Deleted from the library or offline; the map keeps its reference
+        console.warn(`Could not load overlay layer ${layerId}:`, error);
+        return;
+    }
+
+    // Hidden again, or already added, while the layer was loading
+    if (!(map.userData.libraryLayers || []).includes(layerId) || map.getSource(sourceId)) return;
+
+    const style = getLibraryLayerStyle(layer);
+    map.addSource(sourceId, {
+        type: 'geojson',
+        data: layer.geojson
+    });
+
+    if (style.fillColor !== 'none') {
+        map.addLayer({
+            id: `${sourceId}-fill`,
+            type: 'fill',
+            source: sourceId,
+            paint: {
+                'fill-color': style.fillColor,
+                'fill-opacity': style.fillOpacity
+            }
+        });
+    }
+
+    map.addLayer({
+        id: `${sourceId}-line`,
+        type: 'line',
+        source: sourceId,
+        paint: {
+            'line-color': style.color,
+            'line-width': style.width
+        }
+    });
+}
+
+/**
+ * Draw every library layer the map has switched on. Called on load and after style changes.
+ * @param {mapboxgl.Map} map - The map instance
+ */
+async function restoreLibraryLayers(map) {
+    await Promise.all((map.userData.libraryLayers || []).map(layerId => addLibraryLayer(map, layerId)));
+}
+
+/**
+ * Save a finished measurement to the map under a name
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} name - Measurement name, e.g. "Subject to I-985 interchange"
+ * @param {string} mode - 'distance' or 'area'
+ * @param {Array<Array<number>>} coordinates - Placed points as [lng, lat] (not closed)
+ * @param {Object} style - { color, width }
+ * @returns {Object} The stored measurement { id, name, mode, coordinates, style, visible }
+ */
+function addSavedMeasurement(map, name, mode, coordinates, style) {
+    const measurement = {
+        id: `saved-measurement-${Date.now().toString(36)}`,
+        name,
+        mode,
+        coordinates,
+        style,
+        visible: true
+    };
+    map.userData.measurements = [...(map.userData.measurements || []), measurement];
+    addSavedMeasurementLayer(map, measurement);
+    return measurement;
+}
+
+/**
+ * Remove a saved measurement from the map and map state
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} measurementId - ID of the measurement to remove
+ */
+function removeSavedMeasurement(map, measurementId) {
+    SAVED_MEASUREMENT_LAYER_SUFFIXES.forEach(suffix => {
+        if (map.getLayer(`${measurementId}${suffix}`)) map.removeLayer(`${measurementId}${suffix}`);
+    });
+    if (map.getSource(measurementId)) {
+        map.removeSource(measurementId);
+    }
+    map.userData.measurements = (map.userData.measurements || []).filter(m => m.id !== measurementId);
+}
+
+/**
+ * Show or hide a saved measurement without removing it
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {string} measurementId - ID of the measurement
+ * @param {boolean} visible - Whether it should be drawn
+ */
+function setSavedMeasurementVisible(map, measurementId, visible) {
+    map.userData.measurements = (map.userData.measurements || []).map(m =>
+        m.id === measurementId ? { ...m, visible } : m
+    );
+    SAVED_MEASUREMENT_LAYER_SUFFIXES.forEach(suffix => {
+        if (map.getLayer(`${measurementId}${suffix}`)) {
+            map.setLayoutProperty(`${measurementId}${suffix}`, 'visibility', visible ? 'visible' : 'none');
+        }
+    });
+}
+
+/**
+ * Line, area polygon and label for a saved measurement, in the measure widget's current unit
+ * @param {Object} measurement - Saved measurement
+ * @returns {Object} FeatureCollection
+ */
+function getSavedMeasurementGeojson(measurement) {
+    const unit = getMeasureUnit();
+    const coordinates = measurement.coordinates;
+    const isArea = measurement.mode === 'area' && coordinates.length >= 3;
+    const line = turf.lineString(isArea ? [...coordinates, coordinates[0]] : coordinates);
+    const length = turf.length(line, { units: unit });
+
+    const features = [line];
+    let label;
+    if (isArea) {
+        const polygon = turf.polygon([line.geometry.coordinates]);
+        const area = formatMeasureArea(turf.area(polygon));
+        features.push(polygon);
+        label = turf.centroid(polygon, { properties: { label: `${measurement.name}\n${area.acres}` } });
+    } else {
+        label = turf.along(line, length / 2, { units: unit });
+        label.properties = { label: `${measurement.name}\n${formatMeasureLength(length, unit)}` };
+    }
+    features.push(label);
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Draw one saved measurement with its style
+ * @param {mapboxgl.Map} map - The map instance
+ * @param {Object} measurement - Saved measurement
+ */
+function addSavedMeasurementLayer(map, measurement) {
+    if (map.getSource(measurement.id)) return;
+
+    const style = { ...DEFAULT_SAVED_MEASUREMENT_STYLE, ...(measurement.style || {}) };
+    const visibility = measurement.visible === false ? 'none' : 'visible';
+
+    // Keep saved measurements under the one being drawn in the widget
+    const beforeId = map.getLayer('measure-fill') ? 'measure-fill' : undefined;
+
+    map.addSource(measurement.id, {
+        type: 'geojson',
+        data: getSavedMeasurementGeojson(measurement)
+    });
+
+    map.addLayer({
+        id: `${measurement.id}-fill`,
+        type: 'fill',
+        source: measurement.id,
+        layout: { visibility },
+        paint: { 'fill-color': style.color, 'fill-opacity': 0.15 },
+        filter: ['in', '$type', 'Polygon']
+    }, beforeId);
+
+    map.addLayer({
+        id: `${measurement.id}-line`,
+        type: 'line',
+        source: measurement.id,
+        layout: { visibility, 'line-cap': 'round', 'line-join': 'round' },
+        paint: { 'line-color': style.color, 'line-width': style.width },
+        filter: ['in', '$type', 'LineString']
+    }, beforeId);
+
+    map.addLayer({
+        id: `${measurement.id}-label`,
+        type: 'symbol',
+        source: measurement.id,
+        layout: {
+            visibility,
+            'text-field': ['get', 'label'],
+            'text-size': 12,
+            'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+            'text-anchor': 'center',
+            'text-allow-overlap': true
+        },
+        paint: {
+            'text-color': style.color,
+            'text-halo-color': '#ffffff',
+            'text-halo-width': 2
+        },
+        filter: ['in', '$type', 'Point']
+    }, beforeId);
+}
+
+/**
+ * Draw every saved measurement. Called on load and after style changes (which wipe custom layers).
+ * @param {mapboxgl.Map} map - The map instance
+ */
+function restoreSavedMeasurements(map) {
+    (map.userData.measurements || []).forEach(measurement => addSavedMeasurementLayer(map, measurement));
+}
+
+/**
+ * Relabel saved measurements after the measure unit changes
+ * @param {mapboxgl.Map} map - The map instance
+ */
+function refreshSavedMeasurementLabels(map) {
+    (map.userData.measurements || []).forEach(measurement => {
+        const source = map.getSource(measurement.id);
+        if (source) source.setData(getSavedMeasurementGeojson(measurement));
+    });
+}
+
+/**
+ * Unit chosen in the measure widget
+ * @returns {string} 'miles' or 'feet'
+ */
+function getMeasureUnit() {
+    return document.querySelector('input[name="measure-unit"]:checked')?.value || 'miles';
+}
+
+/**
+ * Mode chosen in the measure widget
+ * @returns {string} 'distance' (open line) or 'area' (closed polygon)
+ */
+function getMeasureMode() {
+    return document.querySelector('input[name="measure-mode"]:checked')?.value || 'distance';
+}
+
+/**
+ * Format a length for measurement labels
+ * @param {number} distance - Length in the given unit
+ * @param {string} unit - 'miles' or 'feet'
+ * @returns {string} e.g. "1.25 mi" or "6,600 ft"
+ */
+function formatMeasureLength(distance, unit) {
+    return unit === 'feet'
+        ? `${Math.round(distance).toLocaleString()} ft`
+        : `${distance.toFixed(2)} mi`;
+}
+
+/**
+ * Distance label at the midpoint of each side of the current measurement
+ * (including the closing side in area mode)
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Array<Object>} Point features with a label property
+ */
+function getMeasureSegmentLabels(map) {
+    const unit = getMeasureUnit();
+    const coordinates = map.userData.measureLinestring?.geometry.coordinates || [];
+    const labels = [];
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const segLine = turf.lineString([coordinates[i], coordinates[i + 1]]);
+        const segDist = turf.length(segLine, { units: unit });
+        const mid = turf.midpoint(coordinates[i], coordinates[i + 1]);
+        mid.properties = { label: formatMeasureLength(segDist, unit) };
+        labels.push(mid);
+    }
+    return labels;
+}
+
+/**
+ * Acreage and square-feet label at the centroid of the current area measurement
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Object|null} Point feature with a label property, or null outside area mode
+ */
+function getMeasureAreaLabel(map) {
+    const polygon = (map.userData.measureGeojson?.features || []).find(f => f.geometry.type === 'Polygon');
+    if (!polygon) return null;
+
+    const area = formatMeasureArea(turf.area(polygon));
+    return turf.centroid(polygon, { properties: { label: `${area.acres}\n${area.squareFeet}` } });
+}
+
+/**
+ * Format an area in acres and square feet
+ * @param {number} squareMeters - Area in square meters
+ * @returns {Object} { acres: "12.34 ac", squareFeet: "537,530 sq ft" }
+ */
+function formatMeasureArea(squareMeters) {
+    const squareFeet = squareMeters / (METERS_PER_FOOT * METERS_PER_FOOT);
+    const acres = squareFeet / SQUARE_FEET_PER_ACRE;
+    return {
+        acres: `${acres < 10 ? acres.toFixed(2) : acres.toFixed(1)} ac`,
+        squareFeet: `${Math.round(squareFeet).toLocaleString()} sq ft`
+    };
+}
+
+/**
+ * Rebuild the measurement line (and polygon in area mode) from the placed points.
+ * In area mode the line closes back to the first point once there are three points.
+ * @param {mapboxgl.Map} map - The map instance
+ */
+function updateMeasureShape(map) {
+    const geojson = map.userData.measureGeojson;
+    const linestring = map.userData.measureLinestring;
+    const points = geojson.features.filter(f => f.geometry.type === 'Point');
+    const coordinates = points.map(p => p.geometry.coordinates);
+    const closed = getMeasureMode() === 'area' && coordinates.length >= 3;
+
+    geojson.features = points;
+    if (coordinates.length > 1) {
+        linestring.geometry.coordinates = closed ? [...coordinates, coordinates[0]] : coordinates;
+        geojson.features.push(linestring);
+    } else {
+        linestring.geometry.coordinates = [];
+    }
+    if (closed) {
+        geojson.features.push(turf.polygon([linestring.geometry.coordinates]));
+    }
+
+    if (map.getSource('measure-geojson')) map.getSource('measure-geojson').setData(geojson);
+}
+
 /**
  * Add measurement tool GeoJSON sources and layers to the map.
  * Called on initial load and after style changes (which wipe custom layers).
@@ -583,6 +1609,15 @@ function addMeasurementSourcesAndLayers(map) {
         data: map.userData.measureGeojson
     });
 
+    // Area mode fill, under the outline and points
+    map.addLayer({
+        id: 'measure-fill',
+        type: 'fill',
+        source: 'measure-geojson',
+        paint: { 'fill-color': '#2563eb', 'fill-opacity': 0.15 },
+        filter: ['in', '$type', 'Polygon']
+    });
+
     map.addLayer({
         id: 'measure-points',
         type: 'circle',
@@ -668,6 +1703,30 @@ function addMeasurementSourcesAndLayers(map) {
             'text-halo-width': 2
         }
     });
+
+    // Area label at the polygon's centroid (area mode)
+    map.addSource('measure-area-label', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] }
+    });
+
+    map.addLayer({
+        id: 'measure-area-label-layer',
+        type: 'symbol',
+        source: 'measure-area-label',
+        layout: {
+            'text-field': ['get', 'label'],
+            'text-size': 13,
+            'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold'],
+            'text-anchor': 'center',
+            'text-allow-overlap': true
+        },
+        paint: {
+            'text-color': '#1e3a8a',
+            'text-halo-color': '#ffffff',
+            'text-halo-width': 2
+        }
+    });
 }
 
 /**
@@ -689,15 +1748,13 @@ function initializeMeasurementTool(map) {
         if (!map.userData.isMeasuring) return;
 
         const geojson = map.userData.measureGeojson;
-        const linestring = map.userData.measureLinestring;
-
-        if (geojson.features.length > 1) geojson.features.pop(); // remove old linestring
 
         const features = map.queryRenderedFeatures(e.point, { layers: ['measure-points'] });
 
         if (features.length) {
+            // Keep only the other points; updateMeasureShape rebuilds the line and polygon
             const id = features[0].properties.id;
-            geojson.features = geojson.features.filter(p => p.properties.id !== id);
+            geojson.features = geojson.features.filter(p => p.geometry.type === 'Point' && p.properties.id !== id);
         } else {
             geojson.features.push({
                 type: 'Feature',
@@ -706,12 +1763,7 @@ function initializeMeasurementTool(map) {
             });
         }
 
-        if (geojson.features.length > 1) {
-            linestring.geometry.coordinates = geojson.features.map(p => p.geometry.coordinates);
-            geojson.features.push(linestring);
-        }
-
-        map.getSource('measure-geojson').setData(geojson);
+        updateMeasureShape(map);
 
         // Resume rubber-band preview from the new last point
         map.userData.measurePaused = false;
@@ -737,25 +1789,26 @@ function initializeMeasurementTool(map) {
             const lastCoord = points[points.length - 1].geometry.coordinates;
             const currentCoord = [e.lngLat.lng, e.lngLat.lat];
 
+            // In area mode the preview also runs back to the first point
+            const previewCoords = getMeasureMode() === 'area' && points.length > 1
+                ? [lastCoord, currentCoord, points[0].geometry.coordinates]
+                : [lastCoord, currentCoord];
+
             previewSource.setData({
                 type: 'FeatureCollection',
                 features: [{
                     type: 'Feature',
-                    geometry: { type: 'LineString', coordinates: [lastCoord, currentCoord] },
+                    geometry: { type: 'LineString', coordinates: previewCoords },
                     properties: {}
                 }]
             });
 
             // Distance label at the midpoint of the preview segment
             if (previewLabelSource) {
-                const unit = document.querySelector('input[name="measure-unit"]:checked')?.value || 'miles';
+                const unit = getMeasureUnit();
                 const dist = turf.length(turf.lineString([lastCoord, currentCoord]), { units: unit });
                 const mid = turf.midpoint(turf.point(lastCoord), turf.point(currentCoord));
-                mid.properties = {
-                    label: unit === 'feet'
-                        ? `${Math.round(dist).toLocaleString()} ft`
-                        : `${dist.toFixed(2)} mi`
-                };
+                mid.properties = { label: formatMeasureLength(dist, unit) };
                 previewLabelSource.setData({ type: 'FeatureCollection', features: [mid] });
             }
         } else {
@@ -782,6 +1835,7 @@ function resetMeasurement(map) {
     const empty = { type: 'FeatureCollection', features: [] };
     if (map.getSource('measure-geojson')) map.getSource('measure-geojson').setData(map.userData.measureGeojson);
     if (map.getSource('measure-labels')) map.getSource('measure-labels').setData(empty);
+    if (map.getSource('measure-area-label')) map.getSource('measure-area-label').setData(empty);
     if (map.getSource('measure-preview')) map.getSource('measure-preview').setData(empty);
     if (map.getSource('measure-preview-label')) map.getSource('measure-preview-label').setData(empty);
 }
@@ -0,0 +1,346 @@
+// Shared overlay library: reference layers (city limits, ZIP codes, census
+// tracts, zoning) uploaded once to Supabase and switched on per map
+
+// Style given to new library layers
+const DEFAULT_LIBRARY_LAYER_STYLE = {
+    color: '#7c3aed',
+    width: 2,
+    fillColor: 'none',
+    fillOpacity: 0.15
+};
+
+// Library layers listed in the map controls (no geometry)
+let overlayLibrary = [];
+
+// Layers with geometry, loaded on first use: id => Promise<layer>
+const libraryLayerCache = new Map();
+
+/**
+ * Initialize the overlay library list and upload dialog
+ */
+function initializeOverlayLibrary() {
+    document.getElementById('btn-upload-library-layer').addEventListener('click', showLibraryLayerUploadDialog);
+
+    // Checkboxes and delete buttons are rendered dynamically
+    const list = document.getElementById('library-layer-list');
+    list.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('input[data-layer-id]');
+        if (checkbox) handleLibraryLayerToggle(checkbox.dataset.layerId, checkbox.checked);
+    });
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-layer-id]');
+        if (!button) return;
+
+        if (button.classList.contains('overlay-edit')) {
+            showLibraryLayerEditDialog(button.dataset.layerId);
+        } else {
+            handleDeleteLibraryLayer(button.dataset.layerId);
+        }
+    });
+}
+
+/**
+ * Fetch the library list and render it for the current map
+ */
+async function loadOverlayLibrary() {
+    try {
+        overlayLibrary = await getOverlayLayers();
+    } catch (error) {
+        // Keep whatever was listed before; the map itself still works
+        overlayLibrary = overlayLibrary || [];
+    }
+    renderOverlayLibrary();
+}
+
+/**
+ * Get a library layer with its geometry, fetching it once per session
+ * @param {string} layerId - Layer UUID
+ * @returns {Promise<Object>} Layer { id, name, style, geojson }
+ */
+function loadLibraryLayer(layerId) {
+    if (!libraryLayerCache.has(layerId)) {
+        const promise = getOverlayLayerById(layerId);
+        libraryLayerCache.set(layerId, promise);
+
+        // Let the next call try again
+        promise.catch(() => libraryLayerCache.delete(layerId));
+    }
+    return libraryLayerCache.get(layerId);
+}
+
+/**
+ * Library layer style with defaults filled in
+ * @param {Object} layer - Library layer
+ * @returns {Object} { color, width, fillColor, fillOpacity }
+ */
+function getLibraryLayerStyle(layer) {
+    return { ...DEFAULT_LIBRARY_LAYER_STYLE, ...(layer.style || {}) };
+}
+
+/**
+ * List the library in the map controls, checking the layers this map shows
+ */
+function renderOverlayLibrary() {
+    const list = document.getElementById('library-layer-list');
+    const enabled = (map && map.userData && map.userData.libraryLayers) || [];
+
+    if (overlayLibrary.length === 0) {
+        list.innerHTML = '<li class="library-layer-empty">No shared layers yet.</li>';
+        return;
+    }
+
+    list.innerHTML = overlayLibrary.map(layer => `
+        <li>
+            <label class="library-layer-toggle">
+                <input type="checkbox" data-layer-id="${escapeHtml(layer.id)}" ${enabled.includes(layer.id) ? 'checked' : ''}>
+                <span class="library-layer-swatch"></span>
+                <span class="overlay-name">${escapeHtml(layer.name)}</span>
+            </label>
+            <button class="overlay-edit" data-layer-id="${escapeHtml(layer.id)}" aria-label="Edit layer name and style">&#x270E;</button>
+            <button class="overlay-remove" data-layer-id="${escapeHtml(layer.id)}" aria-label="Delete layer from library">&#x2715;</button>
+        </li>
+    `).join('');
+
+    // Styles come from the shared table, so set them as properties rather than markup
+    list.querySelectorAll('.library-layer-swatch').forEach((swatch, i) => {
+        const style = getLibraryLayerStyle(overlayLibrary[i]);
+        swatch.style.borderColor = style.color;
+        swatch.style.backgroundColor = style.fillColor === 'none' ? 'transparent' : style.fillColor;
+    });
+}
+
+/**
+ * Show or hide a library layer on the current map
+ * @param {string} layerId - Layer UUID
+ * @param {boolean} enabled - Whether the layer should be shown
+ */
+async function handleLibraryLayerToggle(layerId, enabled) {
+    if (!map) return;
+
+    if (enabled) {
+        await showLibraryLayer(map, layerId);
+    } else {
+        hideLibraryLayer(map, layerId);
+    }
+    updateSaveButtonState();
+}
+
+/**
+ * Open the upload dialog for a new library layer
+ */
+function showLibraryLayerUploadDialog() {
+    const dialog = document.getElementById('dialog-upload-library-layer');
+    const fileInput = document.getElementById('library-layer-file');
+    const nameInput = document.getElementById('library-layer-name');
+    const confirmBtn = document.getElementById('confirm-upload-library-layer');
+
+    fileInput.value = '';
+    nameInput.value = '';
+    document.getElementById('library-layer-color').value = DEFAULT_LIBRARY_LAYER_STYLE.color;
+    document.getElementById('library-layer-width').value = String(DEFAULT_LIBRARY_LAYER_STYLE.width);
+    document.getElementById('library-layer-fill').checked = false;
+
+    dialog.open = true;
+
+    // Name the layer after the file unless a name was typed
+    const handleFileChange = () => {
+        const file = fileInput.files[0];
+        if (file && !nameInput.value.trim()) {
+            nameInput.value = file.name.replace(/\.[^.]+$/, '');
+        }
+    };
+
+    const handleConfirm = async () => {
+        const file = fileInput.files[0];
+        if (!file) {
+            fileInput.focus();
+            return;
+        }
+
+        confirmBtn.loading = true;
+        try {
+            await uploadLibraryLayer(file, nameInput.value.trim() || file.name);
+            dialog.open = false;
+        } catch (error) {
+            const errorDialog = document.getElementById('dialog-error');
+            const errorMessage = document.getElementById('error-message');
+            errorMessage.textContent = `Could not add ${file.name} to the library: ${error.message}`;
+            errorDialog.open = true;
+        } finally {
+            confirmBtn.loading = false;
+        }
+    };
+
+    fileInput.addEventListener('change', handleFileChange);
+    confirmBtn.addEventListener('click', handleConfirm);
+
+    // Clean up on dialog close
+    dialog.addEventListener('wa-hide', () => {
+        fileInput.removeEventListener('change', handleFileChange);
+        confirmBtn.removeEventListener('click', handleConfirm);
+    }, { once: true });
+}
+
+/**
+ * Read a GeoJSON, KML or KMZ file, save its lines and polygons to the library
+ * and show the new layer on the current map
+ * @param {File} file - Uploaded file
+ * @param {string} name - Layer name
+ */
+async function uploadLibraryLayer(file, name) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!FEATURE_IMPORT_EXTENSIONS.includes(extension)) {
+        throw new Error('Choose a .geojson, .kml or .kmz file.');
+    }
+
+    const geojson = await readFeatureFile(file, extension);
+    const shapes = flattenFeatures(geojson.features).filter(f => f.geometry.type !== 'Point');
+    if (shapes.length === 0) {
+        throw new Error('No lines or polygons were found in this file.');
+    }
+
+    const color = document.getElementById('library-layer-color').value;
+    const style = {
+        ...DEFAULT_LIBRARY_LAYER_STYLE,
+        color,
+        width: parseFloat(document.getElementById('library-layer-width').value),
+        fillColor: document.getElementById('library-layer-fill').checked ? color : 'none'
+    };
+
+    const layer = await createOverlayLayer(name, style, {
+        type: 'FeatureCollection',
+        features: shapes.map(f => ({ type: 'Feature', geometry: f.geometry, properties: f.properties || {} }))
+    });
+
+    overlayLibrary = [...overlayLibrary, layer].sort((a, b) => a.name.localeCompare(b.name));
+    if (map) {
+        await showLibraryLayer(map, layer.id);
+        updateSaveButtonState();
+    }
+    renderOverlayLibrary();
+}
+
+/**
+ * Open the dialog that renames or restyles a library layer
+ * @param {string} layerId - Layer UUID
+ */
+function showLibraryLayerEditDialog(layerId) {
+    const layer = overlayLibrary.find(l => l.id === layerId);
+    if (!layer) return;
+
+    const dialog = document.getElementById('dialog-edit-library-layer');
+    const nameInput = document.getElementById('edit-library-layer-name');
+    const colorInput = document.getElementById('edit-library-layer-color');
+    const widthSelect = document.getElementById('edit-library-layer-width');
+    const fillCheckbox = document.getElementById('edit-library-layer-fill');
+    const confirmBtn = document.getElementById('confirm-edit-library-layer');
+
+    const style = getLibraryLayerStyle(layer);
+    nameInput.value = layer.name;
+    colorInput.value = style.color;
+    widthSelect.value = String(style.width);
+    fillCheckbox.checked = style.fillColor !== 'none';
+
+    dialog.open = true;
+
+    const handleConfirm = async () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+
+        const color = colorInput.value;
+        confirmBtn.loading = true;
+        try {
+            await editLibraryLayer(layerId, name, {
+                ...style,
+                color,
+                width: parseFloat(widthSelect.value),
+                fillColor: fillCheckbox.checked ? color : 'none'
+            });
+            dialog.open = false;
+        } catch (error) {
+            const errorDialog = document.getElementById('dialog-error');
+            const errorMessage = document.getElementById('error-message');
+            errorMessage.textContent = 'Error updating layer: ' + error.message;
+            errorDialog.open = true;
+        } finally {
+            confirmBtn.loading = false;
+        }
+    };
+    confirmBtn.addEventListener('click', handleConfirm);
+
+    // Clean up on dialog close
+    dialog.addEventListener('wa-hide', () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+    }, { once: true });
+}
+
+/**
+ * Save a library layer's new name and style and redraw it on the current map
+ * @param {string} layerId - Layer UUID
+ * @param {string} name - New name
+ * @param {Object} style - New style { color, width, fillColor, fillOpacity }
+ */
+async function editLibraryLayer(layerId, name, style) {
+    const updated = await updateOverlayLayer(layerId, name, style);
+
+    overlayLibrary = overlayLibrary
+        .map(l => (l.id === layerId ? { ...l, ...updated } : l))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    // Keep the cached geometry, with the new name and style
+    const cached = libraryLayerCache.get(layerId);
+    if (cached) {
+        libraryLayerCache.set(layerId, cached.then(layer => ({ ...layer, ...updated })));
+    }
+
+    if (map && (map.userData.libraryLayers || []).includes(layerId)) {
+        await redrawLibraryLayer(map, layerId);
+    }
+    renderOverlayLibrary();
+}
+
+/**
+ * Confirm and delete a layer from the shared library
+ * @param {string} layerId - Layer UUID
+ */
+function handleDeleteLibraryLayer(layerId) {
+    const layer = overlayLibrary.find(l => l.id === layerId);
+    if (!layer) return;
+
+    const dialog = document.getElementById('dialog-delete-library-layer');
+    const message = document.getElementById('delete-library-layer-message');
+    const confirmBtn = document.getElementById('confirm-delete-library-layer');
+
+    message.textContent = `Delete "${layer.name}" from the overlay library? It will disappear from every map that uses it.`;
+    dialog.open = true;
+
+    const handleConfirm = async () => {
+        dialog.open = false;
+
+        try {
+            await deleteOverlayLayer(layerId);
+            libraryLayerCache.delete(layerId);
+            overlayLibrary = overlayLibrary.filter(l => l.id !== layerId);
+
+            if (map && (map.userData.libraryLayers || []).includes(layerId)) {
+                hideLibraryLayer(map, layerId);
+                updateSaveButtonState();
+            }
+            renderOverlayLibrary();
+        } catch (error) {
+            const errorDialog = document.getElementById('dialog-error');
+            const errorMessage = document.getElementById('error-message');
+            errorMessage.textContent = 'Error deleting layer: ' + error.message;
+            errorDialog.open = true;
+        }
+    };
+    confirmBtn.addEventListener('click', handleConfirm);
+
+    // Clean up on dialog close
+    dialog.addEventListener('wa-hide', () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+    }, { once: true });
+}
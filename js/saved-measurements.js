@@ -0,0 +1,112 @@
+// Named measurements kept on a map: saved from the measure widget, toggled
+// from the map controls and stored in map_state
+
+/**
+ * Initialize the save button in the measure widget and the saved measurements list
+ */
+function initializeSavedMeasurements() {
+    document.getElementById('btn-measure-save').addEventListener('click', showSaveMeasurementDialog);
+
+    // Checkboxes and remove buttons are rendered dynamically
+    const list = document.getElementById('measurement-list');
+    list.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('input[data-measurement-id]');
+        if (!checkbox || !map) return;
+
+        setSavedMeasurementVisible(map, checkbox.dataset.measurementId, checkbox.checked);
+        updateSaveButtonState();
+    });
+    list.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('button[data-measurement-id]');
+        if (!removeBtn || !map) return;
+
+        removeSavedMeasurement(map, removeBtn.dataset.measurementId);
+        renderSavedMeasurements();
+        updateSaveButtonState();
+    });
+}
+
+/**
+ * Points of the measurement in progress, if there are enough to save for the current mode
+ * @param {mapboxgl.Map} map - The map instance
+ * @returns {Array<Array<number>>|null} [lng, lat] points, or null
+ */
+function getSavableMeasurement(map) {
+    const points = (map.userData.measureGeojson?.features || []).filter(f => f.geometry.type === 'Point');
+    const minimum = getMeasureMode() === 'area' ? 3 : 2;
+    return points.length >= minimum ? points.map(p => p.geometry.coordinates) : null;
+}
+
+/**
+ * Open the dialog that names and styles the current measurement before saving it
+ */
+function showSaveMeasurementDialog() {
+    if (!map) return;
+    const coordinates = getSavableMeasurement(map);
+    if (!coordinates) return;
+
+    const dialog = document.getElementById('dialog-save-measurement');
+    const nameInput = document.getElementById('measurement-name');
+    const colorInput = document.getElementById('measurement-color');
+    const widthSelect = document.getElementById('measurement-width');
+    const confirmBtn = document.getElementById('confirm-save-measurement');
+
+    nameInput.value = '';
+    colorInput.value = DEFAULT_SAVED_MEASUREMENT_STYLE.color;
+    widthSelect.value = String(DEFAULT_SAVED_MEASUREMENT_STYLE.width);
+
+    dialog.open = true;
+
+    const handleConfirm = () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+
+        addSavedMeasurement(map, name, getMeasureMode(), coordinates, {
+            color: colorInput.value,
+            width: parseFloat(widthSelect.value)
+        });
+
+        // The saved copy replaces the one in the widget
+        resetMeasurement(map);
+        updateMeasureDisplay(map);
+        renderSavedMeasurements();
+        updateSaveButtonState();
+        dialog.open = false;
+    };
+
+    confirmBtn.addEventListener('click', handleConfirm);
+
+    // Clean up on dialog close
+    dialog.addEventListener('wa-hide', () => {
+        confirmBtn.removeEventListener('click', handleConfirm);
+    }, { once: true });
+}
+
+/**
+ * List the current map's saved measurements in the map controls panel
+ */
+function renderSavedMeasurements() {
+    const container = document.getElementById('measurement-list-container');
+    const list = document.getElementById('measurement-list');
+    const measurements = (map && map.userData && map.userData.measurements) || [];
+
+    list.innerHTML = measurements.map(measurement => `
+        <li>
+            <label class="library-layer-toggle">
+                <input type="checkbox" data-measurement-id="${escapeHtml(measurement.id)}" ${measurement.visible === false ? '' : 'checked'}>
+                <span class="library-layer-swatch"></span>
+                <span class="overlay-name">${escapeHtml(measurement.name)}</span>
+            </label>
+            <button class="overlay-remove" data-measurement-id="${escapeHtml(measurement.id)}" aria-label="Remove measurement">&#x2715;</button>
+        </li>
+    `).join('');
+
+    // Colors come from saved map state, so set them as properties rather than markup
+    list.querySelectorAll('.library-layer-swatch').forEach((swatch, i) => {
+        swatch.style.borderColor = { ...DEFAULT_SAVED_MEASUREMENT_STYLE, ...(measurements[i].style || {}) }.color;
+    });
+    container.classList.toggle('hidden', measurements.length === 0);
+}
@@ -143,3 +143,118 @@ async function deleteMap(id) {
         throw error;
     }
 }
+
+/**
+ * Get every layer in the shared overlay library (without geometry)
+ * @returns {Promise<Array>} Array of layer objects with id, name, style, created_at
+ */
+async function getOverlayLayers() {
+    try {
+        const { data, error } = await supabase
+            .from('overlay_layers')
+            .select('id, name, style, created_at')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        console.error('Error fetching overlay layers:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a single overlay library layer with its geometry
+ * @param {string} id - UUID of the layer
+ * @returns {Promise<Object>} Layer object with geojson
+ */
+async function getOverlayLayerById(id) {
+    try {
+        const { data, error } = await supabase
+            .from('overlay_layers')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        console.error('Error fetching overlay layer:', error);
+        throw error;
+    }
+}
+
+/**
+ * Add a layer to the shared overlay library
+ * @param {string} name - Layer name
+ * @param {Object} style - Layer style ({ color, width, fillColor, fillOpacity })
+ * @param {Object} geojson - FeatureCollection of lines and polygons
+ * @returns {Promise<Object>} Created layer object
+ */
+async function createOverlayLayer(name, style, geojson) {
+    try {
+        const { data, error } = await supabase
+            .from('overlay_layers')
+            .insert([
+                {
+                    name: name,
+                    style: style,
+                    geojson: geojson
+                }
+            ])
+            .select('id, name, style, created_at')
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        console.error('Error creating overlay layer:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update an overlay library layer's name and style
+ * @param {string} id - UUID of the layer to update
+ * @param {string} name - Updated name
+ * @param {Object} style - Updated style
+ * @returns {Promise<Object>} Updated layer object
+ */
+async function updateOverlayLayer(id, name, style) {
+    try {
+        const { data, error } = await supabase
+            .from('overlay_layers')
+            .update({
+                name: name,
+                style: style
+            })
+            .eq('id', id)
+            .select('id, name, style, created_at')
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        console.error('Error updating overlay layer:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a layer from the overlay library (for every map that uses it)
+ * @param {string} id - UUID of the layer to delete
+ * @returns {Promise<void>}
+ */
+async function deleteOverlayLayer(id) {
+    try {
+        const { error } = await supabase
+            .from('overlay_layers')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+    } catch (error) {
+        console.error('Error deleting overlay layer:', error);
+        throw error;
+    }
+}
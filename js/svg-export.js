@@ -0,0 +1,491 @@
+// SVG export: a raster basemap with pins, pin numbers, boundary lines,
+// measurements and the map's inset, legend, scale bar and north arrow drawn as vectors
+
+// Map layers drawn as vectors in the SVG, so they are left out of the basemap image
+const SVG_VECTOR_LAYER_PREFIXES = ['county-boundaries', 'overlay-', 'library-', 'saved-measurement-', 'measure-'];
+
+// Resolution of the embedded basemap image
+const SVG_BASEMAP_PIXEL_RATIO = 2;
+
+// SVG counterparts of the canvas drawing for each map control, placed by layoutMapControls
+const SVG_MAP_CONTROLS = {
+    inset: renderSvgInset,
+    legend: renderSvgLegend,
+    scaleBar: renderSvgScaleBar,
+    northArrow: renderSvgNorthArrow
+};
+
+/**
+ * Handle exporting the map as SVG
+ */
+async function handleExportSvg() {
+    if (!map) return;
+
+    try {
+        btnExportSvg.disabled = true;
+        btnExportSvg.textContent = 'Exporting...';
+
+        // Same area and output size as the PNG export
+        const container = map.getContainer();
+        const region = isExportFrameActive()
+            ? getExportFrameRect()
+            : { x: 0, y: 0, width: container.clientWidth, height: container.clientHeight };
+        const size = isExportFrameActive()
+            ? getExportFramePixelSize()
+            : { width: region.width * 2, height: region.height * 2 };
+
+        const svg = await buildSvgExport(region, size);
+
+        const mapName = mapNameInput.value.trim() || 'map';
+        const compType = map.userData.currentCompType || 'subject';
+        const filename = `${mapName}-${compType}.svg`;
+        downloadFile(svg, filename, 'image/svg+xml');
+
+        showExportSuccess(filename);
+    } catch (error) {
+        console.error('SVG export error:', error);
+
+        const dialog = document.getElementById('dialog-error');
+        const message = document.getElementById('error-message');
+        message.textContent = 'Error exporting SVG: ' + error.message;
+        dialog.open = true;
+    } finally {
+        btnExportSvg.disabled = false;
+        btnExportSvg.textContent = 'Export SVG';
+    }
+}
+
+/**
+ * Build the SVG document for part of the map
+ * @param {Object} region - { x, y, width, height } within the map container, in CSS pixels
+ * @param {Object} size - { width, height } of the output, in pixels
+ * @returns {Promise<string>} SVG text
+ */
+async function buildSvgExport(region, size) {
+    const center = map.unproject([region.x + region.width / 2, region.y + region.height / 2]);
+    const exportMap = await createExportMap(map, {
+        width: region.width,
+        height: region.height,
+        pixelRatio: SVG_BASEMAP_PIXEL_RATIO,
+        center,
+        excludeLayer: (id) => SVG_VECTOR_LAYER_PREFIXES.some(prefix => id.startsWith(prefix))
+    });
+
+    try {
+        // Everything is drawn in the map's CSS pixels; the root element scales it to the output size
+        const project = (lngLat) => {
+            const point = exportMap.project(lngLat);
+            return [Math.round(point.x * 10) / 10, Math.round(point.y * 10) / 10];
+        };
+        const basemap = exportMap.getCanvas().toDataURL('image/png');
+        const lineColor = getBoundaryLineColor(map);
+
+        const layers = [];
+
+        const boundaries = map.userData.countyBoundaries;
+        if (boundaries?.enabled && boundaries.selectedCounties.length > 0) {
+            const counties = await fetchGeorgiaCounties(boundaries.selectedCounties);
+            if (boundaries.highlightSubject || getCountyBoundaryStyle(map).fillColor !== 'none') {
+                layers.push(renderSvgCountyFill(counties.features, project));
+            }
+            const style = getCountyBoundaryStyle(map);
+            const dash = COUNTY_LINE_DASHES[style.dash];
+            layers.push(renderSvgLines('county-boundaries', counties.features, project, {
+                stroke: getCountyLineColor(map),
+                width: style.width,
+                opacity: style.opacity,
+                // Mapbox dashes are in line widths; SVG dashes are in pixels
+                dasharray: dash ? dash.map(length => length * style.width).join(' ') : null
+            }));
+            if (boundaries.labels) {
+                layers.push(renderSvgCountyLabels(counties, project));
+            }
+        }
+
+        (map.userData.overlays || []).forEach(overlay => {
+            layers.push(renderSvgLines(overlay.id, overlay.geojson.features, project, { stroke: lineColor, width: 2 }));
+        });
+
+        for (const layerId of map.userData.libraryLayers || []) {
+            const layer = await loadLibraryLayer(layerId).catch(() => null);
+            if (!layer) continue;
+
+            const style = getLibraryLayerStyle(layer);
+            if (style.fillColor !== 'none') {
+                layers.push(renderSvgFill(`library-${layerId}-fill`, layer.geojson.features, project, { fill: style.fillColor, opacity: style.fillOpacity }));
+            }
+            layers.push(renderSvgLines(`library-${layerId}`, layer.geojson.features, project, { stroke: style.color, width: style.width }));
+        }
+
+        layers.push(renderSvgSavedMeasurements(project));
+        layers.push(renderSvgMeasurement(project));
+        layers.push(renderSvgPins(project));
+
+        // Same settings and placement as the PNG and PDF exports
+        exportMap.userData = map.userData;
+        layers.push(await renderSvgMapControls(exportMap, region));
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${size.width}" height="${size.height}" viewBox="0 0 ${region.width} ${region.height}">
+  <defs>
+    <clipPath id="map-clip"><rect width="${region.width}" height="${region.height}"/></clipPath>
+    <filter id="pin-shadow" x="-50%" y="-50%" width="200%" height="200%">
+      <feDropShadow dx="0" dy="2" stdDeviation="1.5" flood-color="#000000" flood-opacity="0.3"/>
+    </filter>
+  </defs>
+  <g clip-path="url(#map-clip)">
+    <image id="basemap" width="${region.width}" height="${region.height}" preserveAspectRatio="none" xlink:href="${basemap}"/>
+${layers.filter(Boolean).join('\n')}
+  </g>
+</svg>
+`;
+    } finally {
+        const container = exportMap.getContainer();
+        exportMap.remove();
+        container.remove();
+    }
+}
+
+/**
+ * Convert a line or polygon geometry to SVG path data
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Function} project - [lng, lat] => [x, y]
+ * @returns {string} Path data, or '' for points
+ */
+function geometryToSvgPath(geometry, project) {
+    const line = (coords, close) => `M${coords.map(c => project(c).join(',')).join('L')}${close ? 'Z' : ''}`;
+
+    switch (geometry.type) {
+        case 'LineString': return line(geometry.coordinates, false);
+        case 'MultiLineString': return geometry.coordinates.map(c => line(c, false)).join('');
+        case 'Polygon': return geometry.coordinates.map(ring => line(ring, true)).join('');
+        case 'MultiPolygon': return geometry.coordinates.flatMap(polygon => polygon.map(ring => line(ring, true))).join('');
+        case 'GeometryCollection': return geometry.geometries.map(g => geometryToSvgPath(g, project)).join('');
+        default: return '';
+    }
+}
+
+/**
+ * Render line and polygon outlines as a group of paths
+ * @param {string} id - Group id (shows up as the layer name in design tools)
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Function} project - [lng, lat] => [x, y]
+ * @param {Object} style - { stroke, width, opacity, dasharray }
+ * @returns {string} SVG group
+ */
+function renderSvgLines(id, features, project, style) {
+    const paths = features
+        .map(feature => feature.geometry && geometryToSvgPath(feature.geometry, project))
+        .filter(Boolean)
+        .map(d => `      <path d="${d}"/>`);
+    if (paths.length === 0) return '';
+
+    const dash = style.dasharray ? ` stroke-dasharray="${style.dasharray}"` : '';
+    const opacity = style.opacity !== undefined && style.opacity < 1 ? ` stroke-opacity="${style.opacity}"` : '';
+    return `    <g id="${id}" fill="none" stroke="${style.stroke}" stroke-width="${style.width}" stroke-linecap="round" stroke-linejoin="round"${opacity}${dash}>
+${paths.join('\n')}
+    </g>`;
+}
+
+/**
+ * Render polygon fills as a group of paths
+ * @param {string} id - Group id
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Function} project - [lng, lat] => [x, y]
+ * @param {Object} style - { fill, opacity }
+ * @returns {string} SVG group
+ */
+function renderSvgFill(id, features, project, style) {
+    const paths = features
+        .filter(feature => feature.geometry && /Polygon/.test(feature.geometry.type))
+        .map(feature => `      <path d="${geometryToSvgPath(feature.geometry, project)}"/>`);
+    if (paths.length === 0) return '';
+
+    return `    <g id="${id}" fill="${style.fill}" fill-opacity="${style.opacity}" fill-rule="evenodd" stroke="none">
+${paths.join('\n')}
+    </g>`;
+}
+
+/**
+ * Render the county highlight fill, styled like the county-boundaries-fill layer
+ * @param {Array<Object>} features - County features from fetchGeorgiaCounties
+ * @param {Function} project - [lng, lat] => [x, y]
+ * @returns {string} SVG group
+ */
+function renderSvgCountyFill(features, project) {
+    const colors = getCountyFillColors(map);
+    const subjectCounty = map.userData.subjectPins?.[0]?.county;
+
+    const paths = features
+        .filter(feature => feature.geometry)
+        .map(feature => {
+            const style = feature.properties.county === subjectCounty ? colors.subject : colors.neighbour;
+            return `      <path d="${geometryToSvgPath(feature.geometry, project)}" fill="${style.color}" fill-opacity="${style.opacity}"/>`;
+        });
+
+    return `    <g id="county-fill" fill-rule="evenodd" stroke="none">
+${paths.join('\n')}
+    </g>`;
+}
+
+/**
+ * Render county names at the same interior points as the county-boundaries-labels layer
+ * @param {Object} counties - County boundaries from fetchGeorgiaCounties
+ * @param {Function} project - [lng, lat] => [x, y]
+ * @returns {string} SVG group
+ */
+function renderSvgCountyLabels(counties, project) {
+    const isSatellite = isSatelliteStyle(map);
+    const fontFamily = escapeXml(getComputedStyle(document.body).fontFamily);
+
+    const labels = getCountyLabelPoints(counties).features.map(point => {
+        const [x, y] = project(point.geometry.coordinates);
+        return `      <text x="${x}" y="${y}">${escapeXml(point.properties.label.toUpperCase())}</text>`;
+    });
+
+    // paint-order draws the stroke under the fill, like a Mapbox text halo
+    return `    <g id="county-labels" font-family="${fontFamily}" font-size="14" font-weight="bold" letter-spacing="1.4" text-anchor="middle" dominant-baseline="central" fill="${isSatellite ? '#ffffff' : '#374151'}" stroke="${isSatellite ? 'rgba(0, 0, 0, 0.75)' : 'rgba(255, 255, 255, 0.9)'}" stroke-width="3" paint-order="stroke">
+${labels.join('\n')}
+    </g>`;
+}
+
+/**
+ * Render the visible saved measurements, styled like their map layers
+ * @param {Function} project - [lng, lat] => [x, y]
+ * @returns {string} SVG group, or '' if none are shown
+ */
+function renderSvgSavedMeasurements(project) {
+    const measurements = (map.userData.measurements || []).filter(m => m.visible !== false);
+    if (measurements.length === 0) return '';
+
+    const fontFamily = escapeXml(getComputedStyle(document.body).fontFamily);
+    const groups = measurements.map(measurement => {
+        const style = { ...DEFAULT_SAVED_MEASUREMENT_STYLE, ...(measurement.style || {}) };
+        const features = getSavedMeasurementGeojson(measurement).features;
+        const polygons = features.filter(f => f.geometry.type === 'Polygon');
+        const lines = features.filter(f => f.geometry.type === 'LineString');
+
+        // Two-line label centered on its point, like the symbol layer
+        const labels = features.filter(f => f.geometry.type === 'Point').map(point => {
+            const [x, y] = project(point.geometry.coordinates);
+            const rows = point.properties.label.split('\n');
+            const spans = rows.map((row, i) => `<tspan x="${x}" dy="${i === 0 ? -(rows.length - 1) * 0.6 : 1.2}em">${escapeXml(row)}</tspan>`);
+            return `      <text x="${x}" y="${y}">${spans.join('')}</text>`;
+        });
+
+        return `    <g id="${measurement.id}">
+${renderSvgFill(`${measurement.id}-fill`, polygons, project, { fill: style.color, opacity: 0.15 })}
+${renderSvgLines(`${measurement.id}-line`, lines, project, { stroke: style.color, width: style.width })}
+    <g font-family="${fontFamily}" font-size="12" font-weight="bold" text-anchor="middle" dominant-baseline="central" fill="${style.color}" stroke="#ffffff" stroke-width="4" paint-order="stroke">
+${labels.join('\n')}
+    </g>
+    </g>`;
+    });
+
+    return `    <g id="saved-measurements">
+${groups.join('\n')}
+    </g>`;
+}
+
+/**
+ * Render the measurement line, its points, distance labels and area label, styled like the
+ * measure-fill, measure-lines, measure-points, measure-segment-labels and measure-area-label-layer layers
+ * @param {Function} project - [lng, lat] => [x, y]
+ * @returns {string} SVG group, or '' if nothing is measured
+ */
+function renderSvgMeasurement(project) {
+    const features = map.userData.measureGeojson?.features || [];
+    if (features.length === 0) return '';
+
+    const polygons = features.filter(f => f.geometry.type === 'Polygon');
+    const lines = features.filter(f => f.geometry.type === 'LineString');
+    const points = features
+        .filter(f => f.geometry.type === 'Point')
+        .map(f => {
+            const [x, y] = project(f.geometry.coordinates);
+            return `      <circle cx="${x}" cy="${y}" r="5"/>`;
+        });
+
+    // Labels sit just above the segment midpoint, like the symbol layer's bottom anchor and offset
+    const fontFamily = escapeXml(getComputedStyle(document.body).fontFamily);
+    const labels = getMeasureSegmentLabels(map).map(point => {
+        const [x, y] = project(point.geometry.coordinates);
+        return `      <text x="${x}" y="${y}" dy="-0.8em">${escapeXml(point.properties.label)}</text>`;
+    });
+
+    // Two-line area label centered on the polygon's centroid
+    const areaLabel = getMeasureAreaLabel(map);
+    let areaText = '';
+    if (areaLabel) {
+        const [x, y] = project(areaLabel.geometry.coordinates);
+        const [acres, squareFeet] = areaLabel.properties.label.split('\n');
+        areaText = `    <text id="measurement-area-label" x="${x}" y="${y}" font-family="${fontFamily}" font-size="13" font-weight="bold" text-anchor="middle" dominant-baseline="central" fill="#1e3a8a" stroke="#ffffff" stroke-width="4" paint-order="stroke"><tspan x="${x}" dy="-0.6em">${escapeXml(acres)}</tspan><tspan x="${x}" dy="1.2em">${escapeXml(squareFeet)}</tspan></text>`;
+    }
+
+    return `    <g id="measurement">
+${renderSvgFill('measurement-fill', polygons, project, { fill: '#2563eb', opacity: 0.15 })}
+${renderSvgLines('measurement-line', lines, project, { stroke: '#000000', width: 2.5 })}
+    <g id="measurement-points" fill="#000000">
+${points.join('\n')}
+    </g>
+    <g id="measurement-labels" font-family="${fontFamily}" font-size="12" font-weight="bold" text-anchor="middle" fill="#111827" stroke="#ffffff" stroke-width="4" paint-order="stroke">
+${labels.join('\n')}
+    </g>
+${areaText}
+    </g>`;
+}
+
+/**
+ * Render the visible pins with the same geometry as createPinElement
+ * @param {Function} project - [lng, lat] => [x, y]
+ * @returns {string} SVG group
+ */
+function renderSvgPins(project) {
+    const { headSize, borderWidth, stemWidth, stemHeight, fontSize } = PIN_GEOMETRY;
+    const radius = headSize / 2;
+    const fontFamily = escapeXml(getComputedStyle(document.body).fontFamily);
+    const visibleTypes = getVisibleCompTypes(map.userData.currentCompType || 'subject');
+
+    // Subject last so it sits on top
+    const pins = mapMarkers
+        .filter(marker => visibleTypes.includes(marker.compType))
+        .sort((a, b) => (a.compType === 'subject') - (b.compType === 'subject'))
+        .map(marker => {
+            const [x, y] = project(marker.pinData.lngLat);
+            const cy = y - stemHeight - radius;
+            const color = PIN_COLORS[marker.compType];
+            const name = marker.compType === 'subject' ? 'subject' : `${marker.compType}-${marker.pinData.number}`;
+
+            return `      <g id="pin-${escapeXml(name)}" filter="url(#pin-shadow)">
+        <rect x="${x - stemWidth / 2}" y="${y - stemHeight}" width="${stemWidth}" height="${stemHeight}" fill="${color}"/>
+        <circle cx="${x}" cy="${cy}" r="${radius - borderWidth / 2}" fill="${color}" stroke="#ffffff" stroke-width="${borderWidth}"/>
+        <text x="${x}" y="${cy}" fill="#ffffff" font-family="${fontFamily}" font-size="${fontSize}" font-weight="bold" text-anchor="middle" dominant-baseline="central">${escapeXml(marker.pinData.number)}</text>
+      </g>`;
+        });
+
+    return `    <g id="pins">
+${pins.join('\n')}
+    </g>`;
+}
+
+/**
+ * Render the enabled inset, legend, scale bar and north arrow
+ * @param {mapboxgl.Map} exportMap - Offscreen map the basemap was rendered from (with the source map's userData)
+ * @param {Object} region - { width, height } of the exported area, in CSS pixels
+ * @returns {Promise<string>} SVG group, or '' if none are enabled
+ */
+async function renderSvgMapControls(exportMap, region) {
+    const layout = layoutMapControls(exportMap, region.width, region.height);
+    if (layout.length === 0) return '';
+
+    const controls = [];
+    for (const { key, frame } of layout) {
+        controls.push(await SVG_MAP_CONTROLS[key](frame, exportMap));
+    }
+
+    return `    <g id="map-controls" font-family="${escapeXml(getComputedStyle(document.body).fontFamily)}">
+${controls.join('\n')}
+    </g>`;
+}
+
+/**
+ * White rounded panel behind the legend and scale bar, like drawMapControlPanel
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @returns {string} SVG rect
+ */
+function renderSvgMapControlPanel(frame) {
+    return `        <rect x="${frame.x + 0.5}" y="${frame.y + 0.5}" width="${frame.width - 1}" height="${frame.height - 1}" rx="4" fill="#ffffff" fill-opacity="0.92" stroke="#9ca3af" stroke-width="1"/>`;
+}
+
+/**
+ * Render the legend like drawLegend: a swatch in each visible comp type's pin color, with its pin count
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {mapboxgl.Map} exportMap - Map whose pins are listed
+ * @returns {string} SVG group
+ */
+function renderSvgLegend(frame, exportMap) {
+    const rows = getLegendCompTypes(exportMap).map((type, i) => {
+        const cy = frame.y + 36 + i * 20;
+        return `        <circle cx="${frame.x + 16}" cy="${cy}" r="6" fill="${PIN_COLORS[type]}" stroke="#ffffff" stroke-width="1.5"/>
+        <text x="${frame.x + 30}" y="${cy}" dominant-baseline="central">${escapeXml(getLegendLabel(exportMap, type))}</text>`;
+    });
+
+    return `      <g id="legend" font-size="12" fill="#111827">
+${renderSvgMapControlPanel(frame)}
+        <text x="${frame.x + 10}" y="${frame.y + 16}" font-weight="600" dominant-baseline="central">Legend</text>
+${rows.join('\n')}
+      </g>`;
+}
+
+/**
+ * Render the scale bar like drawScaleBar, in the measure widget's unit
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {mapboxgl.Map} exportMap - Map the scale is measured on
+ * @returns {string} SVG group
+ */
+function renderSvgScaleBar(frame, exportMap) {
+    const metersPerPixel = getMetersPerPixel(exportMap);
+    const { meters, label } = getScaleBarLength(SCALE_BAR_MAX_WIDTH * metersPerPixel, getMeasureUnit());
+    const barWidth = meters / metersPerPixel;
+    const barHeight = 5;
+    const barX = frame.x + 10;
+    const barY = frame.y + frame.height - 9 - barHeight;
+
+    // Alternating black and white halves, labelled at each end
+    return `      <g id="scale-bar" font-size="11" fill="#111827">
+${renderSvgMapControlPanel(frame)}
+        <rect x="${barX}" y="${barY}" width="${barWidth / 2}" height="${barHeight}"/>
+        <rect x="${barX + barWidth / 2}" y="${barY}" width="${barWidth / 2}" height="${barHeight}" fill="#ffffff"/>
+        <rect x="${barX}" y="${barY}" width="${barWidth}" height="${barHeight}" fill="none" stroke="#111827" stroke-width="1"/>
+        <text x="${barX}" y="${barY - 2}" dominant-baseline="text-after-edge">0</text>
+        <text x="${barX + barWidth}" y="${barY - 2}" text-anchor="end" dominant-baseline="text-after-edge">${escapeXml(label)}</text>
+      </g>`;
+}
+
+/**
+ * Render the north arrow like drawNorthArrow, rotated against the map bearing
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {mapboxgl.Map} exportMap - Map whose bearing is used
+ * @returns {string} SVG group
+ */
+function renderSvgNorthArrow(frame, exportMap) {
+    const size = Math.min(frame.width, frame.height) / 2;
+    const cx = frame.x + frame.width / 2;
+    const cy = frame.y + frame.height / 2;
+    const point = (x, y) => `${cx + size * x},${cy + size * y}`;
+
+    return `      <g id="north-arrow">
+        <circle cx="${cx}" cy="${cy}" r="${size - 1}" fill="#ffffff" fill-opacity="0.92" stroke="#9ca3af" stroke-width="1"/>
+        <g transform="rotate(${-exportMap.getBearing()} ${cx} ${cy})">
+          <path d="M${point(0, -0.45)}L${point(0.3, 0.5)}L${point(0, 0.3)}L${point(-0.3, 0.5)}Z" fill="#111827"/>
+          <text x="${cx}" y="${cy + size * 0.12}" font-size="10" font-weight="700" fill="#ffffff" text-anchor="middle" dominant-baseline="central">N</text>
+        </g>
+      </g>`;
+}
+
+/**
+ * Render the locator inset like drawInsetMap: the state outline and a box around the exported view
+ * @param {Object} frame - { x, y, width, height } in CSS pixels
+ * @param {mapboxgl.Map} exportMap - Map whose view is located
+ * @returns {Promise<string>} SVG group
+ */
+async function renderSvgInset(frame, exportMap) {
+    const data = await loadInsetOutline();
+    const project = getInsetProjection(frame, data.bbox);
+    const round = ([x, y]) => [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+    const outline = data.geojson.features
+        .map(feature => geometryToSvgPath(feature.geometry, coordinate => round(project(coordinate))))
+        .join('');
+    const box = getInsetExtentBox(project, exportMap.getBounds());
+
+    // The clip keeps a zoomed-out extent box inside the inset
+    return `      <g id="inset">
+        <clipPath id="inset-clip"><rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}"/></clipPath>
+        <g clip-path="url(#inset-clip)">
+          <rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}" fill="#ffffff"/>
+          <path d="${outline}" fill="#e5e7eb" fill-rule="evenodd" stroke="#9ca3af" stroke-width="1"/>
+          <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" fill="rgba(228, 26, 28, 0.2)" stroke="${PIN_COLORS.subject}" stroke-width="2"/>
+        </g>
+        <rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}" fill="none" stroke="#6b7280" stroke-width="1"/>
+      </g>`;
+}
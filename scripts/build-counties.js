@@ -0,0 +1,753 @@
+#!/usr/bin/env node
+// Builds data/counties from source county boundaries: reprojects them to
+// WGS84, simplifies them, checks geometry and county names, then writes one
+// <County>.geojson per county and regenerates the manifest.
+//
+//     node scripts/build-counties.js <source>... [options]
+//
+// Sources are GeoJSON files, shapefiles (.shp with its .dbf and .prj) or
+// directories of either. Statewide or national Census files work as-is;
+// features outside Georgia are skipped when they carry a STATEFP.
+//
+// All counties are simplified together: borders shared by two counties are
+// simplified once, so neighbouring files still meet without gaps or overlaps.
+// Build every county from the same source for that to hold.
+//
+// Options:
+//     --from EPSG:<code>    Source CRS when the file doesn't declare one
+//     --tolerance <deg>     Simplification tolerance in degrees (default 0.0002, about 20 m; 0 keeps every vertex)
+//     --name-field <field>  Property holding the county name (default NAME)
+//     --dry-run             Validate and report without writing files
+
+const fs = require('fs');
+const path = require('path');
+const { GEORGIA_COUNTY_FIPS, COUNTIES_DIR, douglasPeucker, writeManifest, writeStateOutline } = require('./generate-county-manifest');
+
+const DEFAULT_TOLERANCE = 0.0002;
+
+// Anything reprojected outside this box came from the wrong source CRS
+const GEORGIA_BOUNDS = [-85.7, 30.3, -80.7, 35.1];
+
+// GRS80 ellipsoid (NAD83)
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+
+const US_SURVEY_FOOT = 1200 / 3937;
+
+// Transverse Mercator zones Georgia data usually comes in
+const TRANSVERSE_MERCATOR_CRS = {
+    'EPSG:26916': { name: 'NAD83 / UTM zone 16N', lat0: 0, lon0: -87, k0: 0.9996, falseEasting: 500000, falseNorthing: 0, unit: 1 },
+    'EPSG:26917': { name: 'NAD83 / UTM zone 17N', lat0: 0, lon0: -81, k0: 0.9996, falseEasting: 500000, falseNorthing: 0, unit: 1 },
+    'EPSG:26966': { name: 'NAD83 / Georgia East', lat0: 30, lon0: -82 - 10 / 60, k0: 0.9999, falseEasting: 200000, falseNorthing: 0, unit: 1 },
+    'EPSG:26967': { name: 'NAD83 / Georgia West', lat0: 30, lon0: -84 - 10 / 60, k0: 0.9999, falseEasting: 700000, falseNorthing: 0, unit: 1 },
+    'EPSG:2239': { name: 'NAD83 / Georgia East (ftUS)', lat0: 30, lon0: -82 - 10 / 60, k0: 0.9999, falseEasting: 200000, falseNorthing: 0, unit: US_SURVEY_FOOT },
+    'EPSG:2240': { name: 'NAD83 / Georgia West (ftUS)', lat0: 30, lon0: -84 - 10 / 60, k0: 0.9999, falseEasting: 700000, falseNorthing: 0, unit: US_SURVEY_FOOT }
+};
+
+// Geographic CRSs passed through unchanged. NAD83 and WGS84 differ by
+// about a meter, far below the simplification tolerance.
+const GEOGRAPHIC_CRS = ['EPSG:4326', 'EPSG:4269', 'CRS:84'];
+
+const WEB_MERCATOR_CRS = 'EPSG:3857';
+
+// .prj names (ESRI WKT) for the CRSs above
+const PRJ_NAMES = [
+    [/StatePlane_Georgia_East.*Feet/i, 'EPSG:2239'],
+    [/StatePlane_Georgia_West.*Feet/i, 'EPSG:2240'],
+    [/StatePlane_Georgia_East/i, 'EPSG:26966'],
+    [/StatePlane_Georgia_West/i, 'EPSG:26967'],
+    [/UTM_Zone_16N/i, 'EPSG:26916'],
+    [/UTM_Zone_17N/i, 'EPSG:26917'],
+    [/Mercator_Auxiliary_Sphere|Pseudo[-_]Mercator/i, WEB_MERCATOR_CRS],
+    [/^GEOGCS\["GCS_North_American_1983"/i, 'EPSG:4269'],
+    [/^GEOGCS\["(GCS_)?WGS_?1984"/i, 'EPSG:4326']
+];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { sources, from, tolerance, nameField, dryRun }
+ */
+function parseArgs(argv) {
+    const options = { sources: [], from: null, tolerance: DEFAULT_TOLERANCE, nameField: 'NAME', dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from') options.from = normalizeCrs(argv[++i]);
+        else if (arg === '--tolerance') options.tolerance = parseFloat(argv[++i]);
+        else if (arg === '--name-field') options.nameField = argv[++i];
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.sources.push(arg);
+    }
+
+    if (options.sources.length === 0) {
+        throw new Error('Usage: node scripts/build-counties.js <source>... [--from EPSG:<code>] [--tolerance <deg>] [--name-field <field>] [--dry-run]');
+    }
+    if (!Number.isFinite(options.tolerance) || options.tolerance < 0) {
+        throw new Error('--tolerance must be a number of degrees, 0 or more');
+    }
+    return options;
+}
+
+/**
+ * Normalize a CRS name, e.g. "urn:ogc:def:crs:EPSG::4269" or "epsg:4269" to "EPSG:4269"
+ * @param {string} name - CRS name
+ * @returns {string} Normalized name
+ */
+function normalizeCrs(name) {
+    if (!name) return null;
+    if (/CRS84$/i.test(name)) return 'CRS:84';
+    const code = name.match(/EPSG:+(\d+)$/i);
+    return code ? `EPSG:${code[1]}` : name;
+}
+
+/**
+ * Expand directories into the GeoJSON and shapefiles inside them
+ * @param {Array<string>} sources - Paths from the command line
+ * @returns {Array<string>} Files to read
+ */
+function listSourceFiles(sources) {
+    return sources.flatMap(source => {
+        if (!fs.statSync(source).isDirectory()) return [source];
+        return fs.readdirSync(source)
+            .filter(file => /\.(geojson|json|shp)$/i.test(file) && !file.startsWith('_') && file !== 'manifest.json')
+            .sort()
+            .map(file => path.join(source, file));
+    });
+}
+
+/**
+ * Read a source file as features plus its CRS
+ * @param {string} file - GeoJSON or .shp path
+ * @returns {Object} { features, crs } with crs null if the file doesn't say
+ */
+function readSource(file) {
+    if (/\.shp$/i.test(file)) {
+        return readShapefile(file);
+    }
+
+    const geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const features = geojson.type === 'Feature' ? [geojson] : geojson.features || [];
+    return { features, crs: normalizeCrs(geojson.crs?.properties?.name) };
+}
+
+/**
+ * Read polygon features from a shapefile and its .dbf attributes and .prj CRS
+ * @param {string} file - .shp path
+ * @returns {Object} { features, crs }
+ */
+function readShapefile(file) {
+    const base = file.replace(/\.shp$/i, '');
+    const shp = fs.readFileSync(file);
+    const records = readDbf(findSidecar(base, 'dbf'));
+    const prjFile = findSidecar(base, 'prj', false);
+    const prj = prjFile ? fs.readFileSync(prjFile, 'utf8').trim() : '';
+    const crs = (PRJ_NAMES.find(([pattern]) => pattern.test(prj)) || [])[1] || null;
+
+    const features = [];
+    let offset = 100;
+    let index = 0;
+    while (offset < shp.length) {
+        const contentLength = shp.readInt32BE(offset + 4) * 2;
+        const content = offset + 8;
+        const shapeType = shp.readInt32LE(content);
+
+        // Polygon, PolygonZ and PolygonM share the same 2D layout
+        if ([5, 15, 25].includes(shapeType)) {
+            const numParts = shp.readInt32LE(content + 36);
+            const numPoints = shp.readInt32LE(content + 40);
+            const partsStart = content + 44;
+            const pointsStart = partsStart + numParts * 4;
+
+            const rings = [];
+            for (let p = 0; p < numParts; p++) {
+                const start = shp.readInt32LE(partsStart + p * 4);
+                const end = p + 1 < numParts ? shp.readInt32LE(partsStart + (p + 1) * 4) : numPoints;
+                const ring = [];
+                for (let i = start; i < end; i++) {
+                    ring.push([shp.readDoubleLE(pointsStart + i * 16), shp.readDoubleLE(pointsStart + i * 16 + 8)]);
+                }
+                rings.push(ring);
+            }
+
+            features.push({ type: 'Feature', properties: records[index] || {}, geometry: ringsToGeometry(rings) });
+        } else if (shapeType !== 0) {
+            throw new Error(`${file}: shape type ${shapeType} is not a polygon`);
+        }
+
+        offset = content + contentLength;
+        index++;
+    }
+
+    return { features, crs };
+}
+
+/**
+ * Find a shapefile sidecar file regardless of extension case
+ * @param {string} base - Path without extension
+ * @param {string} extension - 'dbf' or 'prj'
+ * @param {boolean} required - Throw if missing
+ * @returns {string|null} Path
+ */
+function findSidecar(base, extension, required = true) {
+    const match = [extension, extension.toUpperCase()].map(ext => `${base}.${ext}`).find(p => fs.existsSync(p));
+    if (!match && required) throw new Error(`${base}.${extension} not found`);
+    return match || null;
+}
+
+/**
+ * Read the attribute table of a shapefile
+ * @param {string} file - .dbf path
+ * @returns {Array<Object>} One properties object per record
+ */
+function readDbf(file) {
+    const dbf = fs.readFileSync(file);
+    const recordCount = dbf.readUInt32LE(4);
+    const headerLength = dbf.readUInt16LE(8);
+    const recordLength = dbf.readUInt16LE(10);
+
+    const fields = [];
+    for (let offset = 32; dbf[offset] !== 0x0d; offset += 32) {
+        fields.push({
+            name: dbf.toString('latin1', offset, offset + 11).replace(/\0.*$/, ''),
+            type: String.fromCharCode(dbf[offset + 11]),
+            length: dbf[offset + 16]
+        });
+    }
+
+    const records = [];
+    for (let r = 0; r < recordCount; r++) {
+        let offset = headerLength + r * recordLength + 1; // skip the deletion flag
+        const properties = {};
+        fields.forEach(field => {
+            const text = dbf.toString('latin1', offset, offset + field.length).trim();
+            properties[field.name] = field.type === 'N' || field.type === 'F' ? (text === '' ? null : Number(text)) : text;
+            offset += field.length;
+        });
+        records.push(properties);
+    }
+    return records;
+}
+
+/**
+ * Signed area of a ring (positive when counterclockwise)
+ * @param {Array<Array<number>>} ring - Positions
+ * @returns {number} Area in squared coordinate units
+ */
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+/**
+ * Whether a point is inside a ring (even-odd rule)
+ * @param {Array<number>} point - [x, y]
+ * @param {Array<Array<number>>} ring - Positions
+ * @returns {boolean} True if inside
+ */
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Group shapefile rings into polygons: clockwise rings are outer rings and
+ * counterclockwise rings are holes in the outer ring that contains them
+ * @param {Array<Array<Array<number>>>} rings - Rings in source coordinates
+ * @returns {Object} Polygon or MultiPolygon geometry
+ */
+function ringsToGeometry(rings) {
+    const polygons = [];
+    const holes = [];
+    rings.forEach(ring => (ringArea(ring) < 0 ? polygons.push([ring]) : holes.push(ring)));
+
+    holes.forEach(hole => {
+        const owner = polygons.find(polygon => pointInRing(hole[0], polygon[0]));
+        // A counterclockwise ring with no outer ring is a badly wound outer ring
+        if (owner) owner.push(hole);
+        else polygons.push([hole]);
+    });
+
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Meridian arc length from the equator to a latitude on an ellipsoid
+ * @param {number} phi - Latitude in radians
+ * @param {number} e2 - Eccentricity squared
+ * @param {number} a - Semi-major axis in meters
+ * @returns {number} Distance in meters
+ */
+function meridianArc(phi, e2, a) {
+    const e4 = e2 * e2;
+    const e6 = e4 * e2;
+    return a * (
+        (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi
+        - (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi)
+        + (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi)
+        - (35 * e6 / 3072) * Math.sin(6 * phi)
+    );
+}
+
+/**
+ * Build a function converting Transverse Mercator coordinates to [lng, lat]
+ * (inverse series from Snyder, Map Projections: A Working Manual, p. 63)
+ * @param {Object} params - { lat0, lon0, k0, falseEasting, falseNorthing (meters), unit (meters per source unit) }
+ * @returns {Function} ([x, y]) => [lng, lat]
+ */
+function createTransverseMercatorInverse(params) {
+    const { a, f } = GRS80;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    const m0 = meridianArc(params.lat0 * Math.PI / 180, e2, a);
+    const lon0 = params.lon0 * Math.PI / 180;
+
+    return ([easting, northing]) => {
+        const x = easting * params.unit - params.falseEasting;
+        const y = northing * params.unit - params.falseNorthing;
+
+        const m = m0 + y / params.k0;
+        const mu = m / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+        const phi1 = mu
+            + (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu)
+            + (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu)
+            + (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu)
+            + (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+
+        const sinPhi = Math.sin(phi1);
+        const cosPhi = Math.cos(phi1);
+        const tanPhi = Math.tan(phi1);
+        const c1 = ep2 * cosPhi * cosPhi;
+        const t1 = tanPhi * tanPhi;
+        const n1 = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        const r1 = a * (1 - e2) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+        const d = x / (n1 * params.k0);
+
+        const lat = phi1 - (n1 * tanPhi / r1) * (
+            d * d / 2
+            - (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24
+            + (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720
+        );
+        const lng = lon0 + (
+            d
+            - (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6
+            + (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120
+        ) / cosPhi;
+
+        return [lng * 180 / Math.PI, lat * 180 / Math.PI];
+    };
+}
+
+/**
+ * Build a function converting a CRS's coordinates to WGS84 [lng, lat]
+ * @param {string} crs - Normalized CRS name
+ * @returns {Function} ([x, y]) => [lng, lat]
+ */
+function createTransform(crs) {
+    if (GEOGRAPHIC_CRS.includes(crs)) {
+        return ([lng, lat]) => [lng, lat];
+    }
+    if (crs === WEB_MERCATOR_CRS) {
+        const r = 6378137;
+        return ([x, y]) => [
+            (x / r) * 180 / Math.PI,
+            (2 * Math.atan(Math.exp(y / r)) - Math.PI / 2) * 180 / Math.PI
+        ];
+    }
+    if (TRANSVERSE_MERCATOR_CRS[crs]) {
+        return createTransverseMercatorInverse(TRANSVERSE_MERCATOR_CRS[crs]);
+    }
+
+    const supported = [...GEOGRAPHIC_CRS, WEB_MERCATOR_CRS, ...Object.keys(TRANSVERSE_MERCATOR_CRS)];
+    throw new Error(`Unsupported CRS ${crs}. Reproject to one of: ${supported.join(', ')}`);
+}
+
+/**
+ * Apply a function to every ring of a Polygon or MultiPolygon
+ * @param {Object} geometry - Polygon or MultiPolygon
+ * @param {Function} fn - (ring) => ring
+ * @returns {Object} New geometry
+ */
+function mapRings(geometry, fn) {
+    return geometry.type === 'Polygon'
+        ? { type: 'Polygon', coordinates: geometry.coordinates.map(fn) }
+        : { type: 'MultiPolygon', coordinates: geometry.coordinates.map(polygon => polygon.map(fn)) };
+}
+
+/**
+ * Lookup key for a position (source coordinates are compared exactly)
+ * @param {Array<number>} position - [x, y]
+ * @returns {string} Key
+ */
+function positionKey(position) {
+    return `${position[0]},${position[1]}`;
+}
+
+/**
+ * Order positions by x, then y
+ * @param {Array<number>} a - Position
+ * @param {Array<number>} b - Position
+ * @returns {number} Negative, zero or positive
+ */
+function comparePositions(a, b) {
+    return a[0] - b[0] || a[1] - b[1];
+}
+
+/**
+ * Choose which vertices of one ring survive simplification.
+ *
+ * A vertex is fixed where the set of rings it belongs to changes (where a
+ * border between two counties meets a third county or the state line), or
+ * when it is pinned. The runs between fixed vertices are simplified in a
+ * canonical direction, so a border shared by two rings keeps the same
+ * positions in both.
+ * @param {Array<Array<number>>} ring - Closed ring
+ * @param {Map<string, Array<number>>} owners - Rings each position belongs to
+ * @param {Set<string>} pinned - Positions that must be kept
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @returns {Array<number>} Indices of the kept vertices, in order
+ */
+function simplifyRing(ring, owners, pinned, tolerance) {
+    const n = ring.length - 1; // the closing position repeats the first
+    const keys = ring.slice(0, n).map(positionKey);
+    const signatures = keys.map(key => owners.get(key).join(','));
+
+    const fixed = [];
+    for (let i = 0; i < n; i++) {
+        if (pinned.has(keys[i]) || signatures[i] !== signatures[(i + n - 1) % n] || signatures[i] !== signatures[(i + 1) % n]) {
+            fixed.push(i);
+        }
+    }
+
+    // Islands and rings shared whole have no junctions: anchor at the lowest
+    // position and the one farthest from it, which every copy of the ring agrees on
+    if (fixed.length < 2) {
+        const first = fixed.length === 1
+            ? fixed[0]
+            : keys.reduce((lowest, key, i) => (comparePositions(ring[i], ring[lowest]) < 0 ? i : lowest), 0);
+        const distance = i => Math.hypot(ring[i][0] - ring[first][0], ring[i][1] - ring[first][1]);
+        let farthest = first === 0 ? 1 : 0;
+        for (let i = 0; i < n; i++) {
+            if (distance(i) > distance(farthest)) farthest = i;
+        }
+        fixed.splice(0, fixed.length, ...[first, farthest].sort((a, b) => a - b));
+    }
+
+    const keep = new Array(n).fill(false);
+    fixed.forEach((start, k) => {
+        const end = k + 1 < fixed.length ? fixed[k + 1] : fixed[0] + n;
+        const indices = [];
+        for (let i = start; i <= end; i++) indices.push(i % n);
+
+        // Simplify each run in the same direction whichever ring it came from
+        let run = indices.map(i => ring[i]);
+        const reversed = comparePositions(run[0], run[run.length - 1]) > 0;
+        if (reversed) run = [...run].reverse();
+        const kept = douglasPeucker(run, tolerance);
+        if (reversed) kept.reverse();
+
+        indices.forEach((index, i) => {
+            if (kept[i]) keep[index] = true;
+        });
+    });
+
+    const indices = keys.map((key, i) => i).filter(i => keep[i]);
+    // A ring that would collapse below a triangle keeps every vertex
+    return indices.length >= 3 ? indices : keys.map((key, i) => i);
+}
+
+/**
+ * Simplify every ring of every county together so shared borders stay shared.
+ * Where simplifying makes a ring cross itself, the original vertices of the
+ * crossing spans are pinned, in every ring that has them, and the rings are
+ * simplified again.
+ * @param {Array<Array<Array<number>>>} rings - Closed rings in WGS84
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @returns {Array<Array<Array<number>>>} Simplified closed rings, in the same order
+ */
+function simplifyRings(rings, tolerance) {
+    if (tolerance === 0) return rings;
+
+    // Rings each position belongs to, in ring order
+    const owners = new Map();
+    rings.forEach((ring, r) => {
+        for (let i = 0; i < ring.length - 1; i++) {
+            const key = positionKey(ring[i]);
+            const list = owners.get(key);
+            if (!list) owners.set(key, [r]);
+            else if (list[list.length - 1] !== r) list.push(r);
+        }
+    });
+
+    const pinned = new Set();
+    for (;;) {
+        const pinnedBefore = pinned.size;
+        let crossings = 0;
+        const simplified = rings.map(ring => {
+            const indices = simplifyRing(ring, owners, pinned, tolerance);
+            const result = [...indices.map(i => ring[i]), ring[indices[0]]];
+
+            const crossing = findSelfIntersection(result);
+            if (crossing) {
+                crossings++;
+                // Keep every original vertex along both crossing segments
+                crossing.forEach(segment => {
+                    const end = segment + 1 < indices.length ? indices[segment + 1] : indices[0] + ring.length - 1;
+                    for (let i = indices[segment]; i <= end; i++) {
+                        pinned.add(positionKey(ring[i % (ring.length - 1)]));
+                    }
+                });
+            }
+            return result;
+        });
+        // Nothing left to restore means the source itself crosses; validation reports it
+        if (crossings === 0 || pinned.size === pinnedBefore) return simplified;
+    }
+}
+
+/**
+ * Round a coordinate to 6 decimal places (about 10 cm)
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Round a ring's positions, dropping repeats that rounding creates
+ * @param {Array<Array<number>>} ring - Closed ring
+ * @returns {Array<Array<number>>} Rounded closed ring
+ */
+function roundRing(ring) {
+    return ring
+        .map(([lng, lat]) => [round(lng), round(lat)])
+        .filter((position, i, rounded) => i === 0 || comparePositions(position, rounded[i - 1]) !== 0);
+}
+
+/**
+ * Orientation of three positions
+ * @param {Array<number>} a - Position
+ * @param {Array<number>} b - Position
+ * @param {Array<number>} c - Position
+ * @returns {number} Positive if counterclockwise, negative if clockwise, 0 if collinear
+ */
+function orientation(a, b, c) {
+    return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+/**
+ * Find a place where a ring crosses itself. Segments are swept left to right
+ * so only segments whose x ranges overlap are compared.
+ * @param {Array<Array<number>>} ring - Closed ring
+ * @returns {Array<number>|null} Indices of two crossing segments, or null if the ring is simple
+ */
+function findSelfIntersection(ring) {
+    const n = ring.length - 1;
+    const minX = i => Math.min(ring[i][0], ring[i + 1][0]);
+    const maxX = i => Math.max(ring[i][0], ring[i + 1][0]);
+    const segments = [...Array(n).keys()].sort((a, b) => minX(a) - minX(b));
+
+    for (let s = 0; s < n; s++) {
+        const i = segments[s];
+        const right = maxX(i);
+        for (let t = s + 1; t < n && minX(segments[t]) <= right; t++) {
+            const j = segments[t];
+            // Neighbouring segments share a vertex
+            if (Math.abs(i - j) === 1 || Math.abs(i - j) === n - 1) continue;
+
+            const [a, b, c, d] = [ring[i], ring[i + 1], ring[j], ring[j + 1]];
+            if (orientation(a, b, c) * orientation(a, b, d) < 0 && orientation(c, d, a) * orientation(c, d, b) < 0) {
+                return [i, j];
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a reprojected geometry, returning every problem found
+ * @param {Object} geometry - Polygon or MultiPolygon in WGS84
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateGeometry(geometry) {
+    const problems = [];
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+    polygons.forEach((polygon, p) => {
+        polygon.forEach((ring, r) => {
+            const where = `polygon ${p + 1} ring ${r + 1}`;
+            if (ring.length < 4) {
+                problems.push(`${where} has ${ring.length} positions (needs at least 4)`);
+                return;
+            }
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                problems.push(`${where} is not closed`);
+            }
+            if (ring.some(([lng, lat]) => !Number.isFinite(lng) || !Number.isFinite(lat))) {
+                problems.push(`${where} has non-numeric coordinates`);
+            } else if (ring.some(([lng, lat]) => lng < GEORGIA_BOUNDS[0] || lat < GEORGIA_BOUNDS[1] || lng > GEORGIA_BOUNDS[2] || lat > GEORGIA_BOUNDS[3])) {
+                problems.push(`${where} falls outside Georgia (wrong source CRS? use --from)`);
+            }
+            if (ringArea(ring) === 0) {
+                problems.push(`${where} has no area`);
+            }
+            const crossing = findSelfIntersection(ring);
+            if (crossing) {
+                problems.push(`${where} crosses itself near [${ring[crossing[0]].join(', ')}]`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Match a source name to the canonical county name, ignoring case and a " County" suffix
+ * @param {*} value - Name from the source properties
+ * @returns {string|null} Canonical name, e.g. "DeKalb", or null if it isn't a Georgia county
+ */
+function matchCountyName(value) {
+    if (typeof value !== 'string') return null;
+    const cleaned = value.replace(/\s+county$/i, '').trim().toLowerCase();
+    return Object.keys(GEORGIA_COUNTY_FIPS).find(name => name.toLowerCase() === cleaned) || null;
+}
+
+/**
+ * Convert every source feature, grouping polygons by county
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} { counties: Map<name, Array<polygon coordinates>>, errors, skipped }
+ */
+function buildCounties(options) {
+    const sources = [];
+    const errors = [];
+    let skipped = 0;
+
+    listSourceFiles(options.sources).forEach(file => {
+        const { features, crs } = readSource(file);
+        const sourceCrs = options.from || crs || 'CRS:84';
+        const transform = createTransform(sourceCrs);
+        console.log(`${file}: ${features.length} features in ${sourceCrs}`);
+
+        features.forEach((feature, i) => {
+            const properties = feature.properties || {};
+
+            // National and multi-state files: only Georgia (Census 2010 files suffix the field)
+            const stateFips = properties.STATEFP ?? properties.STATEFP10;
+            if (stateFips !== undefined && String(stateFips).padStart(2, '0') !== '13') {
+                skipped++;
+                return;
+            }
+
+            const sourceName = properties[options.nameField];
+            const name = matchCountyName(sourceName);
+            const label = `${path.basename(file)} feature ${i + 1} (${options.nameField}: ${JSON.stringify(sourceName)})`;
+            if (!name) {
+                errors.push(`${label}: not a Georgia county name`);
+                return;
+            }
+            if (!feature.geometry || !['Polygon', 'MultiPolygon'].includes(feature.geometry.type)) {
+                errors.push(`${label}: geometry must be a Polygon or MultiPolygon`);
+                return;
+            }
+
+            const geometry = mapRings(feature.geometry, ring => ring.map(transform));
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+            sources.push({ name, label, polygons });
+        });
+    });
+
+    // Every county is simplified together so neighbours keep matching borders
+    const simplified = simplifyRings(sources.flatMap(source => source.polygons.flat()), options.tolerance);
+
+    const counties = new Map();
+    let next = 0;
+    sources.forEach(({ name, label, polygons }) => {
+        const rounded = polygons.map(polygon => polygon.map(() => roundRing(simplified[next++])));
+
+        const problems = validateGeometry({ type: 'MultiPolygon', coordinates: rounded });
+        if (problems.length > 0) {
+            problems.forEach(problem => errors.push(`${label}: ${problem}`));
+            return;
+        }
+
+        // Counties split across several features (islands, source tiling) become one MultiPolygon
+        counties.set(name, [...(counties.get(name) || []), ...rounded]);
+    });
+
+    return { counties, errors, skipped };
+}
+
+/**
+ * Write one county file
+ * @param {string} name - Canonical county name
+ * @param {Array} polygons - Polygon coordinate arrays
+ */
+function writeCountyFile(name, polygons) {
+    const geojson = {
+        type: 'FeatureCollection',
+        name,
+        features: [{
+            type: 'Feature',
+            properties: { NAME: name },
+            geometry: polygons.length === 1
+                ? { type: 'Polygon', coordinates: polygons[0] }
+                : { type: 'MultiPolygon', coordinates: polygons }
+        }]
+    };
+    fs.writeFileSync(path.join(COUNTIES_DIR, `${name}.geojson`), JSON.stringify(geojson) + '\n');
+}
+
+/**
+ * Build, validate and write the county files, then regenerate the manifest
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const { counties, errors, skipped } = buildCounties(options);
+
+    if (skipped > 0) {
+        console.log(`Skipped ${skipped} features outside Georgia`);
+    }
+    if (errors.length > 0) {
+        console.error(`${errors.length} problem${errors.length === 1 ? '' : 's'} found; nothing was written:`);
+        errors.forEach(error => console.error(`  ${error}`));
+        process.exit(1);
+    }
+    if (counties.size === 0) {
+        console.error('No Georgia counties found in the sources; nothing was written.');
+        process.exit(1);
+    }
+
+    if (options.dryRun) {
+        console.log(`${counties.size} counties are valid (dry run, nothing written)`);
+        return;
+    }
+
+    [...counties.keys()].sort().forEach(name => writeCountyFile(name, counties.get(name)));
+    console.log(`Wrote ${counties.size} county files to ${path.relative(process.cwd(), COUNTIES_DIR)}`);
+
+    writeManifest();
+    writeStateOutline();
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+// Generates data/counties/manifest.json from the county GeoJSON files, and
+// data/georgia-outline.geojson (the state outline the locator inset draws)
+// from the borders they don't share. The app builds its county picker from
+// the manifest, so run this after adding or replacing a file in data/counties by hand:
+//
+//     node scripts/generate-county-manifest.js
+//
+// scripts/build-counties.js runs this itself after writing new files.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const COUNTIES_DIR = path.join(__dirname, '..', 'data', 'counties');
+const MANIFEST_PATH = path.join(COUNTIES_DIR, 'manifest.json');
+const STATE_OUTLINE_PATH = path.join(__dirname, '..', 'data', 'georgia-outline.geojson');
+
+// The inset is under 200px across, so the outline only needs about 1 km of detail
+const STATE_OUTLINE_TOLERANCE = 0.01;
+
+// Georgia state FIPS code
+const GEORGIA_STATE_FIPS = '13';
+
+// All 159 Georgia counties by county FIPS code (Census)
+const GEORGIA_COUNTY_FIPS = {
+    'Appling': '001', 'Atkinson': '003', 'Bacon': '005', 'Baker': '007', 'Baldwin': '009',
+    'Banks': '011', 'Barrow': '013', 'Bartow': '015', 'Ben Hill': '017', 'Berrien': '019',
+    'Bibb': '021', 'Bleckley': '023', 'Brantley': '025', 'Brooks': '027', 'Bryan': '029',
+    'Bulloch': '031', 'Burke': '033', 'Butts': '035', 'Calhoun': '037', 'Camden': '039',
+    'Candler': '043', 'Carroll': '045', 'Catoosa': '047', 'Charlton': '049', 'Chatham': '051',
+    'Chattahoochee': '053', 'Chattooga': '055', 'Cherokee': '057', 'Clarke': '059', 'Clay': '061',
+    'Clayton': '063', 'Clinch': '065', 'Cobb': '067', 'Coffee': '069', 'Colquitt': '071',
+    'Columbia': '073', 'Cook': '075', 'Coweta': '077', 'Crawford': '079', 'Crisp': '081',
+    'Dade': '083', 'Dawson': '085', 'Decatur': '087', 'DeKalb': '089', 'Dodge': '091',
+    'Dooly': '093', 'Dougherty': '095', 'Douglas': '097', 'Early': '099', 'Echols': '101',
+    'Effingham': '103', 'Elbert': '105', 'Emanuel': '107', 'Evans': '109', 'Fannin': '111',
+    'Fayette': '113', 'Floyd': '115', 'Forsyth': '117', 'Franklin': '119', 'Fulton': '121',
+    'Gilmer': '123', 'Glascock': '125', 'Glynn': '127', 'Gordon': '129', 'Grady': '131',
+    'Greene': '133', 'Gwinnett': '135', 'Habersham': '137', 'Hall': '139', 'Hancock': '141',
+    'Haralson': '143', 'Harris': '145', 'Hart': '147', 'Heard': '149', 'Henry': '151',
+    'Houston': '153', 'Irwin': '155', 'Jackson': '157', 'Jasper': '159', 'Jeff Davis': '161',
+    'Jefferson': '163', 'Jenkins': '165', 'Johnson': '167', 'Jones': '169', 'Lamar': '171',
+    'Lanier': '173', 'Laurens': '175', 'Lee': '177', 'Liberty': '179', 'Lincoln': '181',
+    'Long': '183', 'Lowndes': '185', 'Lumpkin': '187', 'McDuffie': '189', 'McIntosh': '191',
+    'Macon': '193', 'Madison': '195', 'Marion': '197', 'Meriwether': '199', 'Miller': '201',
+    'Mitchell': '205', 'Monroe': '207', 'Montgomery': '209', 'Morgan': '211', 'Murray': '213',
+    'Muscogee': '215', 'Newton': '217', 'Oconee': '219', 'Oglethorpe': '221', 'Paulding': '223',
+    'Peach': '225', 'Pickens': '227', 'Pierce': '229', 'Pike': '231', 'Polk': '233',
+    'Pulaski': '235', 'Putnam': '237', 'Quitman': '239', 'Rabun': '241', 'Randolph': '243',
+    'Richmond': '245', 'Rockdale': '247', 'Schley': '249', 'Screven': '251', 'Seminole': '253',
+    'Spalding': '255', 'Stephens': '257', 'Stewart': '259', 'Sumter': '261', 'Talbot': '263',
+    'Taliaferro': '265', 'Tattnall': '267', 'Taylor': '269', 'Telfair': '271', 'Terrell': '273',
+    'Thomas': '275', 'Tift': '277', 'Toombs': '279', 'Towns': '281', 'Treutlen': '283',
+    'Troup': '285', 'Turner': '287', 'Twiggs': '289', 'Union': '291', 'Upson': '293',
+    'Walker': '295', 'Walton': '297', 'Ware': '299', 'Warren': '301', 'Washington': '303',
+    'Wayne': '305', 'Webster': '307', 'Wheeler': '309', 'White': '311', 'Whitfield': '313',
+    'Wilcox': '315', 'Wilkes': '317', 'Wilkinson': '319', 'Worth': '321'
+};
+
+/**
+ * Collect every [lng, lat] position in a geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array<number>>} Positions
+ */
+function getPositions(geometry) {
+    switch (geometry.type) {
+        case 'Polygon': return geometry.coordinates.flat();
+        case 'MultiPolygon': return geometry.coordinates.flat(2);
+        case 'GeometryCollection': return geometry.geometries.flatMap(getPositions);
+        default: return [];
+    }
+}
+
+/**
+ * Polygons of a geometry as arrays of rings
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons
+ */
+function getPolygons(geometry) {
+    switch (geometry.type) {
+        case 'Polygon': return [geometry.coordinates];
+        case 'MultiPolygon': return geometry.coordinates;
+        case 'GeometryCollection': return geometry.geometries.flatMap(getPolygons);
+        default: return [];
+    }
+}
+
+/**
+ * Bounding box of a set of features
+ * @param {Array<Object>} features - GeoJSON features
+ * @returns {Array<number>} [minLng, minLat, maxLng, maxLat]
+ */
+function getBbox(features) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    features.forEach(feature => {
+        getPositions(feature.geometry).forEach(([lng, lat]) => {
+            bbox[0] = Math.min(bbox[0], lng);
+            bbox[1] = Math.min(bbox[1], lat);
+            bbox[2] = Math.max(bbox[2], lng);
+            bbox[3] = Math.max(bbox[3], lat);
+        });
+    });
+    return bbox.map(round);
+}
+
+/**
+ * Area-weighted centroid of a set of polygon features (holes subtract)
+ * @param {Array<Object>} features - GeoJSON features
+ * @returns {Array<number>} [lng, lat]
+ */
+function getCentroid(features) {
+    let area = 0;
+    let x = 0;
+    let y = 0;
+
+    features.forEach(feature => {
+        getPolygons(feature.geometry).forEach(polygon => {
+            polygon.forEach((ring, i) => {
+                // Shoelace terms; holes count against the outer ring
+                const sign = i === 0 ? 1 : -1;
+                let ringArea = 0;
+                let ringX = 0;
+                let ringY = 0;
+                for (let j = 0; j < ring.length - 1; j++) {
+                    const [x0, y0] = ring[j];
+                    const [x1, y1] = ring[j + 1];
+                    const cross = x0 * y1 - x1 * y0;
+                    ringArea += cross;
+                    ringX += (x0 + x1) * cross;
+                    ringY += (y0 + y1) * cross;
+                }
+                // Ring winding varies between sources, so use the magnitude
+                const direction = Math.sign(ringArea) * sign;
+                area += Math.abs(ringArea) * sign;
+                x += ringX * direction;
+                y += ringY * direction;
+            });
+        });
+    });
+
+    return [round(x / (3 * area)), round(y / (3 * area))];
+}
+
+/**
+ * Round a coordinate to 6 decimal places (about 10 cm)
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Distance from a point to a segment, in coordinate units
+ * @param {Array<number>} p - Point
+ * @param {Array<number>} a - Segment start
+ * @param {Array<number>} b - Segment end
+ * @returns {number} Distance
+ */
+function segmentDistance(p, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared));
+    return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+/**
+ * Douglas-Peucker over an open run of positions; both ends are always kept
+ * @param {Array<Array<number>>} run - Positions
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @returns {Array<boolean>} Whether each position is kept
+ */
+function douglasPeucker(run, tolerance) {
+    const keep = new Array(run.length).fill(false);
+    keep[0] = keep[run.length - 1] = true;
+
+    const stack = [[0, run.length - 1]];
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = start + 1; i < end; i++) {
+            const distance = segmentDistance(run[i], run[start], run[end]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([start, index], [index, end]);
+        }
+    }
+    return keep;
+}
+
+/**
+ * Read one county file and build its manifest entry
+ * @param {string} file - File name within data/counties
+ * @returns {Object} { name, fips, file, version, bbox, centroid }
+ */
+function buildManifestEntry(file) {
+    const text = fs.readFileSync(path.join(COUNTIES_DIR, file), 'utf8');
+    const geojson = JSON.parse(text);
+    const features = geojson.type === 'Feature' ? [geojson] : geojson.features || [];
+    const name = path.basename(file, '.geojson');
+
+    if (!GEORGIA_COUNTY_FIPS[name]) {
+        throw new Error(`${file}: "${name}" is not a Georgia county name`);
+    }
+    if (features.length === 0) {
+        throw new Error(`${file}: no features`);
+    }
+    const mismatched = features.find(feature => feature.properties?.NAME !== name);
+    if (mismatched) {
+        throw new Error(`${file}: feature NAME "${mismatched.properties?.NAME}" does not match the file name`);
+    }
+
+    return {
+        name,
+        fips: GEORGIA_STATE_FIPS + GEORGIA_COUNTY_FIPS[name],
+        file,
+        // Content hash: the app's boundary cache refetches a file when this changes
+        version: crypto.createHash('sha1').update(text).digest('hex').slice(0, 12),
+        bbox: getBbox(features),
+        centroid: getCentroid(features)
+    };
+}
+
+/**
+ * Write the manifest and report counties that have no boundary file yet
+ */
+function writeManifest() {
+    const files = fs.readdirSync(COUNTIES_DIR)
+        .filter(file => file.endsWith('.geojson') && !file.startsWith('_'))
+        .sort();
+
+    const counties = files.map(buildManifestEntry);
+    const manifest = {
+        state: 'Georgia',
+        stateFips: GEORGIA_STATE_FIPS,
+        counties
+    };
+    // Keep each bbox and centroid on one line so diffs stay readable
+    const json = JSON.stringify(manifest, null, 2)
+        .replace(/\[\s+([-\d.,\s]+?)\s+\]/g, (match, values) => `[${values.split(/,\s+/).join(', ')}]`);
+    fs.writeFileSync(MANIFEST_PATH, json + '\n');
+    console.log(`Wrote ${counties.length} counties to ${path.relative(process.cwd(), MANIFEST_PATH)}`);
+
+    const included = new Set(counties.map(county => county.name));
+    const missing = Object.keys(GEORGIA_COUNTY_FIPS).filter(name => !included.has(name));
+    if (missing.length > 0) {
+        console.warn(`No boundary file for ${missing.length} of ${Object.keys(GEORGIA_COUNTY_FIPS).length} counties: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Chain edges into closed rings
+ * @param {Map<string, Array<number>>} positions - Position by key
+ * @param {Array<Array<string>>} edges - [fromKey, toKey] pairs that form closed loops
+ * @returns {Array<Array<Array<number>>>} Closed rings
+ */
+function chainRings(positions, edges) {
+    const neighbours = new Map();
+    edges.forEach(([a, b], i) => {
+        neighbours.set(a, [...(neighbours.get(a) || []), { key: b, edge: i }]);
+        neighbours.set(b, [...(neighbours.get(b) || []), { key: a, edge: i }]);
+    });
+
+    const used = new Array(edges.length).fill(false);
+    const rings = [];
+    edges.forEach(([start], first) => {
+        if (used[first]) return;
+
+        const ring = [positions.get(start)];
+        let key = start;
+        let edge = first;
+        while (edge !== undefined) {
+            used[edge] = true;
+            key = edges[edge][0] === key ? edges[edge][1] : edges[edge][0];
+            ring.push(positions.get(key));
+            if (key === start) break;
+            edge = neighbours.get(key).find(next => !used[next.edge])?.edge;
+        }
+        if (key === start && ring.length >= 4) rings.push(ring);
+    });
+    return rings;
+}
+
+/**
+ * Write the Georgia outline: every county border that isn't shared with
+ * another county, chained into rings and simplified for the inset. County
+ * files built together share their border vertices exactly.
+ */
+function writeStateOutline() {
+    const positions = new Map();
+    const edgeCounts = new Map();
+
+    fs.readdirSync(COUNTIES_DIR)
+        .filter(file => file.endsWith('.geojson') && !file.startsWith('_'))
+        .forEach(file => {
+            const geojson = JSON.parse(fs.readFileSync(path.join(COUNTIES_DIR, file), 'utf8'));
+            const features = geojson.type === 'Feature' ? [geojson] : geojson.features || [];
+            features.forEach(feature => getPolygons(feature.geometry).flat().forEach(ring => {
+                for (let i = 0; i < ring.length - 1; i++) {
+                    const a = ring[i].join(',');
+                    const b = ring[i + 1].join(',');
+                    if (a === b) continue;
+                    positions.set(a, ring[i]);
+                    positions.set(b, ring[i + 1]);
+                    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+                    edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+                }
+            }));
+        });
+
+    const outerEdges = [...edgeCounts].filter(([, count]) => count === 1).map(([key]) => key.split('|'));
+    const polygons = chainRings(positions, outerEdges)
+        .map(ring => {
+            // Split the closed ring at its farthest vertex so each half has distinct ends
+            const distances = ring.map(([x, y]) => Math.hypot(x - ring[0][0], y - ring[0][1]));
+            const farthest = distances.indexOf(Math.max(...distances));
+            const keep = [
+                ...douglasPeucker(ring.slice(0, farthest + 1), STATE_OUTLINE_TOLERANCE).slice(0, -1),
+                ...douglasPeucker(ring.slice(farthest), STATE_OUTLINE_TOLERANCE)
+            ];
+            return ring.filter((position, i) => keep[i]).map(([lng, lat]) => [round(lng), round(lat)]);
+        })
+        // Small islands collapse at this tolerance
+        .filter(ring => ring.length >= 4)
+        .map(ring => [ring]);
+
+    const geojson = {
+        type: 'FeatureCollection',
+        name: 'Georgia',
+        features: [{
+            type: 'Feature',
+            properties: { NAME: 'Georgia' },
+            geometry: { type: 'MultiPolygon', coordinates: polygons }
+        }]
+    };
+    fs.writeFileSync(STATE_OUTLINE_PATH, JSON.stringify(geojson) + '\n');
+    console.log(`Wrote ${polygons.length} outline rings to ${path.relative(process.cwd(), STATE_OUTLINE_PATH)}`);
+}
+
+module.exports = { GEORGIA_STATE_FIPS, GEORGIA_COUNTY_FIPS, COUNTIES_DIR, douglasPeucker, writeManifest, writeStateOutline };
+
+if (require.main === module) {
+    writeManifest();
+    writeStateOutline();
+}